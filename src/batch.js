@@ -0,0 +1,187 @@
+// src/batch.js — headless experiment runner
+//
+// Runs maneuvers on fresh VehicleSim instances built from a config object
+// (sim.getConfig()), so sweeps never touch the on-screen simulation.
+// A job is { config, maneuver: { type, params, summary, tireEvents, tpms }, grid, keepSeries }:
+//   grid = { pressure: [20, 24, ...], speed_kmh: [60, 100], payload: [0, 300], surface: ["dry", "snow"] }
+//   summary = options for summarizeRun (e.g. { window: 1.0 })
+//   tireEvents = events for a TireEventScheduler played alongside (optional)
+//   tpms = { direct, indirect } monitor options; adds their reports (optional)
+// type "driver" runs the closed-loop driver model instead of a scripted
+// input, with params = { path, pathParams, driver } (src/driver.js).
+// Every combination of grid values is one run. runBatchInWorker() executes
+// the same job in a Web Worker so the UI stays responsive.
+import { VehicleSim } from "./sim.js";
+import { ManeuverPlayer } from "./maneuvers.js";
+import { STEADY_STATE_TESTS } from "./handling.js";
+import { TURN_EXIT_TESTS } from "./longitudinal.js";
+import { TireEventScheduler } from "./tireevents.js";
+import { DirectTPMS, IndirectTPMS } from "./tpms.js";
+import { DriverModel } from "./driver.js";
+
+// how each grid axis modifies a vehicle config
+export const GRID_AXES = {
+  pressure: (cfg, v) => ({ ...cfg, pressures: { FL: v, FR: v, RL: v, RR: v } }),
+  pressureFront: (cfg, v) => ({ ...cfg, pressures: { ...cfg.pressures, FL: v, FR: v } }),
+  pressureRear: (cfg, v) => ({ ...cfg, pressures: { ...cfg.pressures, RL: v, RR: v } }),
+  speed_kmh: (cfg, v) => ({ ...cfg, u: v / 3.6 }),
+  // extra mass at the CG (kg); yaw inertia grows in proportion
+  payload: (cfg, v) => ({ ...cfg, m: cfg.m + v, Iz: (cfg.Iz * (cfg.m + v)) / cfg.m }),
+  // base road surface (ROAD_SURFACES key), layout and patches unchanged
+  surface: (cfg, v) => ({ ...cfg, road: { ...cfg.road, surface: v } }),
+};
+
+// cartesian product of the grid axes -> [{ pressure: 20, speed_kmh: 60 }, ...]
+export function gridPoints(grid = {}) {
+  let points = [{}];
+  for (const [axis, values] of Object.entries(grid)) {
+    if (!GRID_AXES[axis]) throw new Error(`Unknown grid axis "${axis}"`);
+    points = points.flatMap((pt) => values.map((v) => ({ ...pt, [axis]: v })));
+  }
+  return points;
+}
+
+export function applyGridPoint(config, point) {
+  // pressure first so pressureFront / pressureRear can refine it
+  const axes = Object.keys(point).sort((a, b) => (a === "pressure" ? -1 : b === "pressure" ? 1 : 0));
+  return axes.reduce((cfg, axis) => GRID_AXES[axis](cfg, point[axis]), config);
+}
+
+// Steady-state and transient summary of one recorded run.
+// The steady-state window is the last `window` seconds.
+export function summarizeRun(buf, { window = 1.0 } = {}) {
+  const n = buf.time.length;
+  if (!n) return null;
+
+  const tEnd = buf.time[n - 1];
+  let i0 = n - 1;
+  while (i0 > 0 && buf.time[i0 - 1] >= tEnd - window) i0--;
+
+  const mean = (arr) => {
+    let s = 0;
+    for (let i = i0; i < n; i++) s += arr[i];
+    return s / (n - i0);
+  };
+  const peakAbs = (arr) => arr.reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+
+  // ---- ESTIMATE CORNERING STIFFNESS (Cα, FL tire) from the linear region ----
+  // least squares through the origin (Fy = Cα·α): in steady state all samples
+  // sit at nearly the same α, so a free intercept would be ill-conditioned.
+  // |α| < 5° matches the "Linear Region" band drawn on the α–Fy chart.
+  let sumXY = 0,
+    sumXX = 0,
+    m = 0;
+  for (let i = i0; i < n; i++) {
+    if (Math.abs(buf.slipFL[i]) >= 5) continue;
+    const a = (buf.slipFL[i] * Math.PI) / 180;
+    sumXY += a * buf.FyFL[i];
+    sumXX += a * a;
+    m++;
+  }
+  const C_est = m >= 4 && sumXX > 1e-12 ? sumXY / sumXX : 0;
+
+  const yawSS = mean(buf.yaw);
+  const deltaSS = mean(buf.delta);
+
+  return {
+    yawSS, // deg/s
+    aySS: mean(buf.ay), // m/s²
+    deltaSS, // deg
+    yawGain: yawSS / (deltaSS + 1e-6), // (deg/s)/deg
+    yawPeak: peakAbs(buf.yaw),
+    ayPeak: peakAbs(buf.ay),
+    C_est,
+  };
+}
+
+// Run one maneuver to completion on a fresh sim built from config.
+// maneuver.type is a scripted maneuver (MANEUVERS), a closed-loop
+// steady-state test (STEADY_STATE_TESTS), a turn-exit test
+// (TURN_EXIT_TESTS) or "driver" (DriverModel, maneuver.params = its config).
+export function runManeuver(config, maneuver, { keepSeries = true } = {}) {
+  const sim = new VehicleSim({ ...config, maxSamples: Infinity });
+
+  if (maneuver.tireEvents) {
+    const events = new TireEventScheduler(sim);
+    events.load(maneuver.tireEvents);
+    events.play();
+  }
+
+  const monitors = maneuver.tpms && {
+    direct: new DirectTPMS(maneuver.tpms.direct),
+    indirect: new IndirectTPMS(maneuver.tpms.indirect),
+  };
+  if (monitors) Object.values(monitors).forEach((m) => sim.addController(m));
+
+  const test = STEADY_STATE_TESTS[maneuver.type] ?? TURN_EXIT_TESTS[maneuver.type];
+  let driver = null;
+  if (maneuver.type === "driver") {
+    driver = new DriverModel(sim);
+    driver.load(maneuver.params);
+    driver.restart();
+    while (driver.state === "driving") sim.step(sim.fixedDt);
+  } else if (test) {
+    const controller = new test.Test(maneuver.params);
+    controller.start(sim);
+    sim.addController(controller);
+    while (!controller.done) sim.step(sim.fixedDt);
+  } else {
+    const player = new ManeuverPlayer(sim);
+    player.load({ type: maneuver.type, params: maneuver.params });
+    player.restart();
+    while (player.state === "playing") sim.step(sim.fixedDt);
+  }
+
+  return {
+    summary: summarizeRun(sim.buf, maneuver.summary),
+    series: keepSeries ? sim.buf : null,
+    tpms: monitors ? { direct: monitors.direct.report(), indirect: monitors.indirect.report() } : null,
+    driver: driver ? { metrics: driver.metrics(), log: keepSeries ? driver.log : null } : null,
+  };
+}
+
+// Run every grid point; onProgress(done, total) after each run
+export function runBatch(job, onProgress) {
+  const points = gridPoints(job.grid);
+  const results = [];
+
+  points.forEach((point, i) => {
+    const config = applyGridPoint(job.config, point);
+    const run = runManeuver(config, job.maneuver, { keepSeries: job.keepSeries });
+    results.push({ point, config, ...run });
+    if (onProgress) onProgress(i + 1, points.length);
+  });
+
+  return results;
+}
+
+// Same as runBatch, in a Web Worker (falls back to the main thread)
+export function runBatchInWorker(job, onProgress) {
+  if (typeof Worker === "undefined") {
+    return Promise.resolve(runBatch(job, onProgress));
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./batch.worker.js", import.meta.url), {
+      type: "module",
+    });
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") {
+        if (onProgress) onProgress(data.done, data.total);
+      } else if (data.type === "done") {
+        worker.terminate();
+        resolve(data.results);
+      } else if (data.type === "error") {
+        worker.terminate();
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(e);
+    };
+
+    worker.postMessage({ job });
+  });
+}
@@ -0,0 +1,13 @@
+// src/batch.worker.js — runs batch jobs (src/batch.js) off the main thread
+import { runBatch } from "./batch.js";
+
+self.onmessage = ({ data }) => {
+  try {
+    const results = runBatch(data.job, (done, total) =>
+      self.postMessage({ type: "progress", done, total })
+    );
+    self.postMessage({ type: "done", results });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,17 @@
+// src/colors.js — shared colour scales for plots and scene
+
+// hue for a tire pressure (psi): blue = soft (18) ... red = hard (44)
+export function pressureHue(P) {
+  return 220 - Math.max(0, Math.min(1, (P - 18) / 26)) * 220;
+}
+
+// one colour per pressure for sweep overlays (CSS)
+export function pressureColor(P, alpha = 1) {
+  return `hsla(${pressureHue(P)}, 70%, 45%, ${alpha})`;
+}
+
+// heatmap colour for v in [0, 1]: blue (low) ... red (high)
+export function heatColor(v, alpha = 1) {
+  const hue = 240 - Math.max(0, Math.min(1, v)) * 240;
+  return `hsla(${hue}, 80%, 50%, ${alpha})`;
+}
@@ -0,0 +1,108 @@
+// src/compare.js — side-by-side comparison of pressure setups
+//
+// The live sim is vehicle A. Up to three companion sims (B–D) are built from
+// its config with their own axle pressures and stepped in lockstep with it:
+// every fixed substep they receive exactly the steering input (including
+// the corrective steering of tire events, sim.steerCorrection) and speed the
+// live sim used (throttle and brake instead of the speed when longitudinal
+// dynamics are on) on the same road, so the responses can be overlaid
+// sample for sample.
+import { VehicleSim } from "./sim.js";
+
+export const MAX_VEHICLES = 4;
+export const COMPARE_COLORS = ["#ffcc33", "#1f77b4", "#d62728", "#2ca02c"];
+const LETTERS = "ABCD";
+
+// companion pressures (psi) per axle, B..D
+export const DEFAULT_SETUPS = [
+  { front: 24, rear: 32 },
+  { front: 32, rear: 24 },
+  { front: 26, rear: 26 },
+];
+
+export class Comparison {
+  constructor(leader) {
+    this.leader = leader;
+    this.enabled = false;
+    this.count = 2; // vehicles including the live sim
+    this.setups = DEFAULT_SETUPS.map((s) => ({ ...s }));
+    this.vehicles = []; // companions: { sim, setup, color, label }
+    this.onRebuild = null; // (vehicles) => void, e.g. to add cars to the scene
+    this._accumulator = 0;
+  }
+
+  setEnabled(on) {
+    this.enabled = !!on;
+    this.rebuild();
+  }
+
+  // fresh companions from the live config; all sims restart from t = 0
+  rebuild() {
+    this.vehicles = [];
+    this._accumulator = 0;
+
+    if (this.enabled) {
+      const config = this.leader.getConfig();
+      const n = Math.max(2, Math.min(MAX_VEHICLES, this.count)) - 1;
+      for (let i = 0; i < n; i++) {
+        const setup = this.setups[i];
+        this.vehicles.push({
+          sim: new VehicleSim({ ...config, pressures: axlePressures(setup) }),
+          setup,
+          color: COMPARE_COLORS[i + 1],
+          get label() {
+            return `${LETTERS[i + 1]}: F${setup.front} / R${setup.rear} psi`;
+          },
+        });
+      }
+      this.leader.resetBuffers();
+    }
+
+    if (this.onRebuild) this.onRebuild(this.vehicles);
+  }
+
+  // replaces sim.step(dt) in the main loop
+  step(dt) {
+    const leader = this.leader;
+    if (!this.vehicles.length) return leader.step(dt);
+    if (!(dt > 0)) return;
+
+    // the live sim was reset (Reset button, maneuver restart): start over,
+    // picking up any config changes made since
+    if (this.vehicles[0].sim.time > leader.time + 1e-9) this.rebuild();
+
+    const h = leader.fixedDt;
+    const last = new Array(this.vehicles.length + 1).fill(null);
+
+    this._accumulator += dt;
+    while (this._accumulator >= h - 1e-9) {
+      this._accumulator -= h;
+      last[0] = leader.substep(h);
+
+      this.vehicles.forEach(({ sim, setup }, i) => {
+        sim.steerInput = leader.steerInput;
+        sim.steerCorrection = leader.steerCorrection;
+        sim.road = leader.road;
+        sim.throttle = leader.throttle;
+        sim.brake = leader.brake;
+        if (!sim.longitudinal) sim.speed = leader.speed;
+        Object.assign(sim, prefixed(axlePressures(setup)));
+        last[i + 1] = sim.substep(h);
+      });
+    }
+
+    [leader, ...this.vehicles.map((v) => v.sim)].forEach((sim, i) => {
+      const s = last[i];
+      if (s) sim.updateVisual(s.delta, s.alpha.FL, s.Fy.FL, dt);
+    });
+  }
+}
+
+function axlePressures({ front, rear }) {
+  return { FL: front, FR: front, RL: rear, RR: rear };
+}
+
+// { FL: 32, ... } -> { pressureFL: 32, ... }
+function prefixed(pressures) {
+  return Object.fromEntries(Object.entries(pressures).map(([w, p]) => [`pressure${w}`, p]));
+}
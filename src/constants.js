@@ -0,0 +1,4 @@
+// src/constants.js — physical constants shared by the sim and the analysis
+// modules (kept free of imports so any module can use them)
+
+export const G = 9.81; // m/s²
@@ -0,0 +1,59 @@
+// src/dashboard.js — TPMS warning overlay on the 3D view
+//
+// Top view of the four wheels: the pressure the direct system last
+// reported, the apparent radius deviation of the indirect system, and the
+// amber low-pressure lamp for each strategy.
+import { WHEELS } from "./sim.js";
+
+const REFRESH = 250; // ms between DOM updates
+
+export function createTPMSDashboard(container, { direct, indirect }) {
+  const el = document.createElement("div");
+  el.id = "tpms-dashboard";
+  el.innerHTML = `
+    <div class="tpms-title">TPMS <span class="tpms-lamp" data-lamp="direct">direct</span>
+      <span class="tpms-lamp" data-lamp="indirect">indirect</span></div>
+    <div class="tpms-grid">
+      ${WHEELS.map((w) => `<div class="tpms-wheel" data-wheel="${w}"><b>${w}</b><span></span><small></small></div>`).join("")}
+    </div>
+    <div class="tpms-status"></div>`;
+  container.appendChild(el);
+
+  const cells = Object.fromEntries(
+    WHEELS.map((w) => {
+      const cell = el.querySelector(`[data-wheel="${w}"]`);
+      return [w, { cell, psi: cell.querySelector("span"), dev: cell.querySelector("small") }];
+    })
+  );
+  const lampDirect = el.querySelector('[data-lamp="direct"]');
+  const lampIndirect = el.querySelector('[data-lamp="indirect"]');
+  const status = el.querySelector(".tpms-status");
+
+  let last = 0;
+  function update() {
+    const now = performance.now();
+    if (now - last < REFRESH) return;
+    last = now;
+
+    const d = direct.report();
+    const i = indirect.report();
+    lampDirect.classList.toggle("on", d.warning);
+    lampIndirect.classList.toggle("on", i.warning);
+
+    for (const w of WHEELS) {
+      const c = cells[w];
+      const P = d.wheels[w].pressure;
+      c.psi.textContent = P == null ? "-- psi" : `${P.toFixed(1)} psi`;
+      c.dev.textContent = i.calibrated ? `ΔR ${i.wheels[w].deviation.toFixed(2)} %` : "calibrating";
+      c.cell.classList.toggle("warn", d.wheels[w].warning || i.wheels[w].warning);
+    }
+    status.textContent = i.calibrated ? `yaw residual ${i.yawResidual.toFixed(2)} °/s` : "indirect: learning baseline";
+  }
+
+  return {
+    update,
+    setVisible(v) {
+      el.style.display = v ? "" : "none";
+    },
+  };
+}
@@ -0,0 +1,259 @@
+// src/dataexport.js — time-series export and re-import of sim runs
+//
+// A run is { meta, channels }: every channel of sim.history (equal-length
+// arrays sampled at sampleDt) plus metadata — the full sim config (vehicle,
+// tires, pressures, integrator), the maneuver, seeds and units. Formats:
+//   csv   one column per channel; "# meta: {json}" and "# units: ..." lines
+//         above the header row
+//   json  the run object as is
+//   mat   MATLAB Level 5 MAT-file (uncompressed): each channel an n×1
+//         double, plus "meta" as a JSON char array. Loads with MATLAB
+//         load() / jsondecode(meta) and with scipy.io.loadmat in NumPy.
+// parseRun() reads any of the three back, e.g. as a reference for comparison.
+
+export const RUN_FORMAT = "steering-visualizer-run";
+export const RUN_FORMAT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  csv: { name: "CSV", type: "text/csv" },
+  json: { name: "JSON", type: "application/json" },
+  mat: { name: "MAT (MATLAB / NumPy)", type: "application/octet-stream" },
+};
+
+// units of the sim.history channels
+export const CHANNEL_UNITS = {
+  time: "s",
+  delta: "deg",
+  yaw: "deg/s",
+  ay: "m/s²",
+  beta: "deg",
+  speed: "m/s",
+  psi: "deg",
+  X: "m",
+  Y: "m",
+  MzFL: "N·m",
+  MzFR: "N·m",
+  steerCorrection: "deg",
+  swAngle: "deg",
+  swTorque: "N·m",
+  assistTorque: "N·m",
+  ax: "m/s²",
+  roll: "deg",
+  rollRate: "deg/s",
+  throttle: "",
+  brake: "",
+  ...Object.fromEntries(
+    ["FL", "FR", "RL", "RR"].flatMap((w) => [
+      [`slip${w}`, "deg"],
+      [`Fy${w}`, "N"],
+      [`Fz${w}`, "N"],
+      [`temp${w}`, "°C"],
+      [`pressure${w}`, "psi"],
+      [`Fx${w}`, "N"],
+      [`kappa${w}`, ""],
+      [`mu${w}`, ""],
+    ])
+  ),
+};
+
+// run metadata for the sim's current settings; extra goes into meta
+// (maneuver, tire events, seeds, ...)
+export function runMeta(sim, extra = {}) {
+  return {
+    format: RUN_FORMAT,
+    version: RUN_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    units: Object.fromEntries(sim.history.keys.map((k) => [k, CHANNEL_UNITS[k] ?? ""])),
+    config: sim.getConfig(),
+    ...extra,
+  };
+}
+
+// snapshot of the sim's recorded history and settings
+export function runSnapshot(sim, extra = {}) {
+  const channels = sim.history.toArrays();
+  return { meta: { ...runMeta(sim, extra), samples: channels.time.length }, channels };
+}
+
+// run -> file contents (string or ArrayBuffer) for one of EXPORT_FORMATS
+export function serializeRun(run, format) {
+  if (format === "csv") return runToCSV(run);
+  if (format === "json") return JSON.stringify(run);
+  if (format === "mat") return runToMAT(run);
+  throw new Error(`Unknown export format "${format}"`);
+}
+
+// file contents (ArrayBuffer) + file name -> run; the format follows the
+// file extension
+export function parseRun(data, filename) {
+  const ext = filename.split(".").pop().toLowerCase();
+  let run;
+  if (ext === "mat") run = runFromMAT(data);
+  else {
+    const text = new TextDecoder().decode(data);
+    run = ext === "csv" ? runFromCSV(text) : JSON.parse(text);
+  }
+  if (!run || !run.channels || !Array.isArray(run.channels.time)) {
+    throw new Error("No time channel in the file");
+  }
+  run.meta = run.meta || {};
+  return run;
+}
+
+//----------------------------------------------------------------- CSV
+
+function runToCSV({ meta, channels }) {
+  const keys = Object.keys(channels);
+  const n = channels.time.length;
+  const lines = [
+    `# meta: ${JSON.stringify(meta)}`,
+    `# units: ${keys.map((k) => meta.units?.[k] ?? "").join(",")}`,
+    keys.join(","),
+  ];
+  for (let i = 0; i < n; i++) lines.push(keys.map((k) => channels[k][i] ?? "").join(","));
+  return lines.join("\n");
+}
+
+function runFromCSV(text) {
+  const lines = text.split(/\r?\n/);
+  let meta = {};
+  const rows = [];
+  for (const line of lines) {
+    if (line.startsWith("# meta:")) meta = JSON.parse(line.slice(7));
+    else if (line.trim() && !line.startsWith("#")) rows.push(line.split(","));
+  }
+  if (rows.length < 1) throw new Error("CSV has no header row");
+  const [header, ...data] = rows;
+  const channels = Object.fromEntries(header.map((h, j) => [h.trim(), data.map((r) => parseFloat(r[j]))]));
+  return { meta, channels };
+}
+
+//----------------------------------------------------------------- MAT
+
+const MI_INT8 = 1;
+const MI_UINT16 = 4;
+const MI_INT32 = 5;
+const MI_UINT32 = 6;
+const MI_DOUBLE = 9;
+const MI_MATRIX = 14;
+const MI_COMPRESSED = 15;
+const MI_UTF8 = 16;
+const MX_CHAR = 4;
+const MX_DOUBLE = 6;
+
+const pad8 = (n) => (n + 7) & ~7;
+
+// one variable as a miMATRIX element: double column vector or char row
+function matVariable(name, values, isChar) {
+  const n = values.length;
+  const nameBytes = new TextEncoder().encode(name);
+  const dataBytes = isChar ? 2 * n : 8 * n;
+  const size = 16 + 16 + (8 + pad8(nameBytes.length)) + (8 + pad8(dataBytes));
+  const buf = new ArrayBuffer(8 + size);
+  const v = new DataView(buf);
+  let o = 0;
+  const tag = (type, bytes) => {
+    v.setUint32(o, type, true);
+    v.setUint32(o + 4, bytes, true);
+    o += 8;
+  };
+
+  tag(MI_MATRIX, size);
+  tag(MI_UINT32, 8); // array flags
+  v.setUint32(o, isChar ? MX_CHAR : MX_DOUBLE, true);
+  o += 8;
+  tag(MI_INT32, 8); // dimensions
+  v.setInt32(o, isChar ? 1 : n, true);
+  v.setInt32(o + 4, isChar ? n : 1, true);
+  o += 8;
+  tag(MI_INT8, nameBytes.length);
+  new Uint8Array(buf, o, nameBytes.length).set(nameBytes);
+  o += pad8(nameBytes.length);
+  tag(isChar ? MI_UINT16 : MI_DOUBLE, dataBytes);
+  for (let i = 0; i < n; i++) {
+    if (isChar) v.setUint16(o + 2 * i, values[i], true);
+    else v.setFloat64(o + 8 * i, values[i] ?? NaN, true);
+  }
+  return buf;
+}
+
+function runToMAT({ meta, channels }) {
+  const header = new Uint8Array(128).fill(0x20);
+  const text = `MATLAB 5.0 MAT-file, Platform: JS, Created on: ${new Date().toUTCString()}, by ${RUN_FORMAT}`;
+  header.set(new TextEncoder().encode(text.slice(0, 116)));
+  header.fill(0, 116, 124); // no subsystem data
+  header.set([0x00, 0x01, 0x49, 0x4d], 124); // version 0x0100, "IM" (little endian)
+
+  const metaJSON = JSON.stringify(meta);
+  const codes = Array.from({ length: metaJSON.length }, (_, i) => metaJSON.charCodeAt(i)); // UTF-16
+  const parts = [
+    header.buffer,
+    ...Object.entries(channels).map(([k, values]) => matVariable(k, values, false)),
+    matVariable("meta", codes, true),
+  ];
+
+  const out = new Uint8Array(parts.reduce((s, p) => s + p.byteLength, 0));
+  let o = 0;
+  for (const p of parts) {
+    out.set(new Uint8Array(p), o);
+    o += p.byteLength;
+  }
+  return out.buffer;
+}
+
+// Reads uncompressed Level 5 MAT-files with double / char variables (as
+// written above, or by MATLAB's save -v6).
+function runFromMAT(data) {
+  const v = new DataView(data);
+  if (data.byteLength < 128 || String.fromCharCode(v.getUint8(126), v.getUint8(127)) !== "IM") {
+    throw new Error("Not a little-endian Level 5 MAT-file");
+  }
+
+  // data element at o -> { type, bytes, start, next }; handles the
+  // small-element form (type and size packed into one word)
+  const element = (o) => {
+    const first = v.getUint32(o, true);
+    if (first >>> 16) {
+      return { type: first & 0xffff, bytes: first >>> 16, start: o + 4, next: o + 8 };
+    }
+    const bytes = v.getUint32(o + 4, true);
+    return { type: first, bytes, start: o + 8, next: o + 8 + pad8(bytes) };
+  };
+  const read = (el) => {
+    const n = { [MI_DOUBLE]: 8, [MI_INT32]: 4, [MI_UINT32]: 4, [MI_UINT16]: 2 }[el.type] || 1;
+    return Array.from({ length: el.bytes / n }, (_, i) => {
+      const p = el.start + i * n;
+      if (el.type === MI_DOUBLE) return v.getFloat64(p, true);
+      if (el.type === MI_INT32) return v.getInt32(p, true);
+      if (el.type === MI_UINT32) return v.getUint32(p, true);
+      if (el.type === MI_UINT16) return v.getUint16(p, true);
+      return v.getUint8(p);
+    });
+  };
+
+  const channels = {};
+  let meta = {};
+  let o = 128;
+  while (o + 8 <= data.byteLength) {
+    const el = element(o);
+    if (el.type === MI_COMPRESSED) throw new Error("Compressed MAT-files are not supported (save with -v6)");
+    o = el.start + el.bytes;
+    if (el.type !== MI_MATRIX) continue;
+
+    const flags = element(el.start);
+    const dims = element(flags.next);
+    const name = element(dims.next);
+    const real = element(name.next);
+    const varName = new TextDecoder().decode(new Uint8Array(read(name)));
+    const cls = read(flags)[0] & 0xff;
+    if (cls === MX_CHAR) {
+      const codes = read(real);
+      const text =
+        real.type === MI_UTF8 ? new TextDecoder().decode(new Uint8Array(codes)) : String.fromCharCode(...codes);
+      if (varName === "meta") meta = JSON.parse(text);
+    } else {
+      channels[varName] = read(real);
+    }
+  }
+  return { meta, channels };
+}
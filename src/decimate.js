@@ -0,0 +1,153 @@
+// src/decimate.js — point reduction for long time series
+//
+// Charts only need about as many points as they have pixels. Three ways to
+// get there from n samples (x ascending):
+//   minMax()  the lowest and highest sample of each of `buckets` equal
+//             slices — keeps every spike, 2 points per bucket
+//   lttb()    Largest-Triangle-Three-Buckets (Steinarsson 2013) — keeps the
+//             visual shape with exactly `threshold` points
+//   StreamDecimator  min/max buckets maintained as samples arrive: O(1)
+//             per sample, buckets merge pairwise when there are too many,
+//             so a run of any length is summarised in 2·maxBuckets points
+// x and y are indexable (arrays, typed arrays) or accessors (i) => value.
+
+const getter = (a) => (typeof a === "function" ? a : (i) => a[i]);
+
+// -> [{ x, y }] of all n samples
+export function rawPoints(x, y, n) {
+  const gx = getter(x);
+  const gy = getter(y);
+  const out = new Array(n);
+  for (let i = 0; i < n; i++) out[i] = { x: gx(i), y: gy(i) };
+  return out;
+}
+
+export function minMax(x, y, n, buckets) {
+  if (n <= 2 * buckets) return rawPoints(x, y, n);
+  const gx = getter(x);
+  const gy = getter(y);
+  const out = [];
+  for (let b = 0; b < buckets; b++) {
+    const i0 = Math.floor((b * n) / buckets);
+    const i1 = Math.floor(((b + 1) * n) / buckets);
+    let iMin = i0;
+    let iMax = i0;
+    for (let i = i0 + 1; i < i1; i++) {
+      const v = gy(i);
+      if (v < gy(iMin)) iMin = i;
+      if (v > gy(iMax)) iMax = i;
+    }
+    // in time order so the line does not double back
+    const [a, c] = iMin < iMax ? [iMin, iMax] : [iMax, iMin];
+    out.push({ x: gx(a), y: gy(a) });
+    if (c !== a) out.push({ x: gx(c), y: gy(c) });
+  }
+  return out;
+}
+
+export function lttb(x, y, n, threshold) {
+  if (threshold >= n || threshold < 3) return rawPoints(x, y, n);
+  const gx = getter(x);
+  const gy = getter(y);
+  const out = [{ x: gx(0), y: gy(0) }];
+  const every = (n - 2) / (threshold - 2);
+  let a = 0;
+
+  for (let b = 0; b < threshold - 2; b++) {
+    // average of the next bucket
+    const n0 = Math.floor((b + 1) * every) + 1;
+    const n1 = Math.min(n, Math.floor((b + 2) * every) + 1);
+    let avgX = 0;
+    let avgY = 0;
+    for (let i = n0; i < n1; i++) {
+      avgX += gx(i);
+      avgY += gy(i);
+    }
+    const len = Math.max(1, n1 - n0);
+    avgX /= len;
+    avgY /= len;
+
+    // point of this bucket spanning the largest triangle with a and the average
+    const i0 = Math.floor(b * every) + 1;
+    const i1 = Math.floor((b + 1) * every) + 1;
+    const ax = gx(a);
+    const ay = gy(a);
+    let best = -1;
+    let next = i0;
+    for (let i = i0; i < i1; i++) {
+      const area = Math.abs((ax - avgX) * (gy(i) - ay) - (ax - gx(i)) * (avgY - ay));
+      if (area > best) {
+        best = area;
+        next = i;
+      }
+    }
+    out.push({ x: gx(next), y: gy(next) });
+    a = next;
+  }
+
+  out.push({ x: gx(n - 1), y: gy(n - 1) });
+  return out;
+}
+
+// Incremental min/max decimation of one series. `points` is kept up to
+// date in place (2 per bucket) and can be handed to a chart dataset as is.
+export class StreamDecimator {
+  constructor(maxBuckets = 1000) {
+    this.maxBuckets = maxBuckets;
+    this.reset();
+  }
+
+  reset() {
+    this.span = 1; // samples per bucket
+    this.buckets = []; // { count, min: {x, y}, max: {x, y} }
+    this.points = [];
+  }
+
+  append(x, y) {
+    let b = this.buckets[this.buckets.length - 1];
+    if (!b || b.count >= this.span) {
+      if (this.buckets.length >= this.maxBuckets) {
+        this.merge();
+        b = this.buckets[this.buckets.length - 1];
+      }
+      if (!b || b.count >= this.span) {
+        b = { count: 0, min: { x, y }, max: { x, y } };
+        this.buckets.push(b);
+      }
+    }
+    b.count++;
+    if (y < b.min.y) b.min = { x, y };
+    else if (y > b.max.y) b.max = { x, y };
+    this.order(this.buckets.length - 1);
+  }
+
+  // keep the bucket's two points in time order
+  order(i) {
+    const b = this.buckets[i];
+    const [p, q] = b.min.x <= b.max.x ? [b.min, b.max] : [b.max, b.min];
+    this.points[2 * i] = p;
+    this.points[2 * i + 1] = q;
+  }
+
+  // halve the bucket count: pairs of buckets become one of twice the span
+  merge() {
+    const merged = [];
+    for (let i = 0; i < this.buckets.length; i += 2) {
+      const a = this.buckets[i];
+      const c = this.buckets[i + 1];
+      if (!c) {
+        merged.push(a);
+        continue;
+      }
+      merged.push({
+        count: a.count + c.count,
+        min: a.min.y <= c.min.y ? a.min : c.min,
+        max: a.max.y >= c.max.y ? a.max : c.max,
+      });
+    }
+    this.span *= 2;
+    this.buckets = merged;
+    this.points = [];
+    this.buckets.forEach((_, i) => this.order(i));
+  }
+}
@@ -0,0 +1,286 @@
+// src/driver.js — closed-loop driver model following a target path
+//
+// Target paths start at the origin heading along +X (where a reset sim
+// starts) and are sampled into a polyline every PATH_STEP metres:
+//   laneChange  ISO 3888-style double lane change (cosine transitions)
+//   slalom      sine through cones `spacing` metres apart
+//   circle      straight lead-in, then `laps` left-hand turns of `radius`
+//
+// DriverModel is a VehicleSim controller that commands sim.steerInput:
+//   pursuit    pure pursuit on the path point one preview distance
+//              (u · previewTime) ahead: δ = atan(2 L sin η / Ld)
+//   crossover  compensatory driver after McRuer's crossover model: preview
+//              lateral error e with lead equalisation, δ = K (e + T_L ė),
+//              K = 2L / Ld² (small-angle pure-pursuit gain); ė is low-pass
+//              filtered over RATE_FILTER
+// both scaled by `gain`, limited to ±maxSteer and delayed by the driver's
+// reaction time `delay`.
+//
+// driverMetrics() rates a run: path deviation, steering effort and the
+// steering reversal rate — the usual proxies for driver workload.
+
+const PATH_STEP = 0.5; // m
+const DEG2RAD = Math.PI / 180;
+const RATE_FILTER = 0.1; // s, time constant of the crossover error-rate filter
+
+export const DRIVER_PATHS = {
+  laneChange: {
+    name: "Double lane change",
+    defaults: { width: 3.5, lead: 30, change: 25, hold: 25, tail: 50 },
+    length: (p) => p.lead + 3 * p.change + p.hold + p.tail,
+    // lateral offset y (m) at distance x (m)
+    y: (x, p) => {
+      const blend = (u) => (p.width * (1 - Math.cos(Math.PI * Math.max(0, Math.min(1, u))))) / 2;
+      const x1 = p.lead + p.change + p.hold;
+      if (x < x1) return blend((x - p.lead) / p.change);
+      return p.width - blend((x - x1) / p.change);
+    },
+  },
+
+  slalom: {
+    name: "Slalom",
+    defaults: { spacing: 18, amplitude: 1.5, cones: 8, lead: 30, tail: 40 },
+    length: (p) => p.lead + p.spacing * p.cones + p.tail,
+    y: (x, p) => {
+      const u = (x - p.lead) / p.spacing;
+      return u < 0 || u > p.cones ? 0 : p.amplitude * Math.sin(Math.PI * u);
+    },
+  },
+
+  circle: {
+    name: "Constant-radius circle",
+    defaults: { radius: 60, laps: 1, lead: 20 },
+    length: (p) => p.lead + 2 * Math.PI * p.radius * p.laps,
+    // point at arc length s
+    point: (s, p) => {
+      if (s <= p.lead) return { x: s, y: 0 };
+      const phi = (s - p.lead) / p.radius;
+      return { x: p.lead + p.radius * Math.sin(phi), y: p.radius * (1 - Math.cos(phi)) };
+    },
+  },
+};
+
+export const DRIVER_MODELS = {
+  pursuit: "Pure pursuit",
+  crossover: "Crossover (preview error + lead)",
+};
+
+export const DEFAULT_DRIVER = {
+  model: "pursuit",
+  previewTime: 1.0, // s
+  delay: 0.15, // s, reaction time
+  gain: 1.0,
+  leadTime: 0.3, // s, crossover lead T_L
+  maxSteer: 35, // deg
+};
+
+// path type + params -> polyline { type, params, x: [], y: [], s: [], length }
+export function pathPoints(type, params = {}) {
+  const def = DRIVER_PATHS[type];
+  const p = { ...def.defaults, ...params };
+  const length = def.length(p);
+  const n = Math.ceil(length / PATH_STEP) + 1;
+  const out = { type, params: p, x: [], y: [], s: [], length };
+  for (let i = 0; i < n; i++) {
+    const s = Math.min(length, i * PATH_STEP);
+    const pt = def.point ? def.point(s, p) : { x: s, y: def.y(s, p) };
+    out.x.push(pt.x);
+    out.y.push(pt.y);
+    out.s.push(s);
+  }
+  return out;
+}
+
+// Nearest point on the polyline to (X, Y), searching forward from segment
+// `from` (the driver never goes back): { i, s, lateral } with the signed
+// lateral offset of (X, Y) from the path (left positive)
+export function projectOnPath(path, X, Y, from = 0, window = 200) {
+  let best = { i: from, d2: Infinity, s: 0, lateral: 0 };
+  const last = Math.min(path.x.length - 2, from + window);
+  for (let i = Math.max(0, from); i <= last; i++) {
+    const ax = path.x[i];
+    const ay = path.y[i];
+    const dx = path.x[i + 1] - ax;
+    const dy = path.y[i + 1] - ay;
+    const len2 = dx * dx + dy * dy || 1e-12;
+    const f = Math.max(0, Math.min(1, ((X - ax) * dx + (Y - ay) * dy) / len2));
+    const ex = X - (ax + f * dx);
+    const ey = Y - (ay + f * dy);
+    const d2 = ex * ex + ey * ey;
+    if (d2 < best.d2) {
+      const len = Math.sqrt(len2);
+      best = { i, d2, s: path.s[i] + f * len, lateral: (dx * ey - dy * ex) / len };
+    }
+  }
+  return best;
+}
+
+// path point at arc length s (linear interpolation)
+function pointAt(path, s) {
+  const i = Math.max(0, Math.min(path.s.length - 2, Math.floor(s / PATH_STEP)));
+  const f = Math.max(0, Math.min(1, (s - path.s[i]) / PATH_STEP));
+  return { x: path.x[i] + f * (path.x[i + 1] - path.x[i]), y: path.y[i] + f * (path.y[i + 1] - path.y[i]) };
+}
+
+// Drives a VehicleSim along a target path.
+// config = { path, pathParams, driver, speed_kmh, pressures }
+export class DriverModel {
+  constructor(sim) {
+    this.sim = sim;
+    this.state = "idle"; // "idle" | "driving" | "done"
+    this.config = null;
+    this.path = null;
+    this.t = 0;
+    this.onDone = null; // (metrics) => {}
+  }
+
+  load(config) {
+    this.config = { ...config, driver: { ...DEFAULT_DRIVER, ...config.driver } };
+    this.path = pathPoints(config.path, config.pathParams);
+    this.state = "idle";
+    this.t = 0;
+  }
+
+  // apply speed / pressures, clear the buffers and drive from the start
+  restart() {
+    if (!this.config) return;
+    const { speed_kmh, pressures } = this.config;
+    const sim = this.sim;
+
+    if (speed_kmh != null) sim.speed = speed_kmh / 3.6;
+    if (pressures) {
+      sim.pressureFL = pressures.FL;
+      sim.pressureFR = pressures.FR;
+      sim.pressureRL = pressures.RL;
+      sim.pressureRR = pressures.RR;
+    }
+
+    sim.resetBuffers();
+    sim.steerInput = 0;
+    this.t = 0;
+    this.segment = 0;
+    this.progress = { i: 0, s: 0, lateral: 0 };
+    this.prevError = null;
+    this.errorRate = 0;
+    this.queue = []; // [{ t, steer }] commands waiting for the reaction delay
+    this.log = { time: [], deviation: [], s: [] };
+    this.nextSample = 0;
+    this.state = "driving";
+    sim.addController(this);
+  }
+
+  play() {
+    this.restart();
+  }
+
+  stop() {
+    this.state = "idle";
+    this.sim.removeController(this);
+  }
+
+  // steering command (deg) the driver would give now, before the delay
+  command(sim, h) {
+    const d = this.config.driver;
+    const L = sim.lf + sim.lr;
+    const u = Math.max(0.5, sim.speed);
+    const Ld = Math.max(3, u * d.previewTime);
+    const target = pointAt(this.path, this.progress.s + Ld);
+
+    // preview point in the vehicle frame
+    const dx = target.x - sim.X;
+    const dy = target.y - sim.Y;
+    const c = Math.cos(sim.psi);
+    const s = Math.sin(sim.psi);
+    const lx = c * dx + s * dy;
+    const ly = -s * dx + c * dy;
+
+    let delta;
+    if (d.model === "crossover") {
+      const rate = this.prevError == null ? 0 : (ly - this.prevError) / h;
+      this.prevError = ly;
+      this.errorRate += (rate - this.errorRate) * Math.min(1, h / RATE_FILTER);
+      delta = ((2 * L) / (Ld * Ld)) * (ly + d.leadTime * this.errorRate);
+    } else {
+      const eta = Math.atan2(ly, lx);
+      delta = Math.atan((2 * L * Math.sin(eta)) / Ld);
+    }
+    const deg = (d.gain * delta) / DEG2RAD;
+    return Math.max(-d.maxSteer, Math.min(d.maxSteer, deg));
+  }
+
+  // controller hook, called by VehicleSim before every substep
+  update(sim, h) {
+    if (this.state !== "driving") return;
+
+    this.progress = projectOnPath(this.path, sim.X, sim.Y, this.segment);
+    this.segment = this.progress.i;
+
+    this.queue.push({ t: this.t + this.config.driver.delay, steer: this.command(sim, h) });
+    while (this.queue.length && this.queue[0].t <= this.t + 1e-9) sim.steerInput = this.queue.shift().steer;
+
+    if (this.t >= this.nextSample - 1e-9) {
+      this.nextSample += sim.sampleDt;
+      this.log.time.push(sim.time);
+      this.log.deviation.push(this.progress.lateral);
+      this.log.s.push(this.progress.s);
+    }
+    this.t += h;
+
+    if (this.progress.s >= this.path.length - 0.5 || this.t > this.path.length / Math.max(1, sim.speed) + 30) {
+      this.state = "done";
+      sim.removeController(this);
+      this.onDone?.(this.metrics());
+    }
+  }
+
+  metrics() {
+    return driverMetrics(this.sim.buf, this.log);
+  }
+}
+
+// number of steering reversals larger than `gap` (deg) in an angle trace
+export function steeringReversals(angle, gap) {
+  let count = 0;
+  let dir = 0; // current steering direction, 0 until the first move > gap
+  let extreme = angle[0];
+  for (const a of angle) {
+    if (dir === 0) {
+      if (Math.abs(a - extreme) >= gap) {
+        dir = Math.sign(a - extreme);
+        extreme = a;
+      }
+    } else if ((a - extreme) * dir > 0) {
+      extreme = a;
+    } else if ((extreme - a) * dir >= gap) {
+      count++;
+      dir = -dir;
+      extreme = a;
+    }
+  }
+  return count;
+}
+
+// Workload metrics of a driven run. buf: sim buffers (swAngle, swTorque,
+// time), log: DriverModel.log (signed path deviation per sample).
+//   rmsDeviation / maxDeviation  m from the target path
+//   rmsSteerRate                 deg/s of steering-wheel angle
+//   rmsTorque                    N·m at the steering wheel
+//   reversalRate                 steering reversals > gap (deg SW) per minute
+export function driverMetrics(buf, log, { gap = 1 } = {}) {
+  const n = buf.time.length;
+  const rms = (arr) => Math.sqrt(arr.reduce((s, v) => s + v * v, 0) / Math.max(1, arr.length));
+  const duration = n > 1 ? buf.time[n - 1] - buf.time[0] : 0;
+  const rates = [];
+  for (let i = 1; i < n; i++) {
+    const dt = buf.time[i] - buf.time[i - 1];
+    if (dt > 0) rates.push((buf.swAngle[i] - buf.swAngle[i - 1]) / dt);
+  }
+  return {
+    rmsDeviation: rms(log.deviation),
+    maxDeviation: log.deviation.reduce((m, v) => Math.max(m, Math.abs(v)), 0),
+    rmsSteerRate: rms(rates),
+    rmsTorque: rms(buf.swTorque),
+    reversalRate: duration > 0 ? (60 * steeringReversals(buf.swAngle, gap)) / duration : 0,
+    duration,
+  };
+}
@@ -1,8 +1,9 @@
 // src/explain.js
 // Explanation / typing animation module
-// Exports: initExplanation({plots}) to attach behaviour to plots module
+// Exports: initExplanation({plots, sim}) to attach behaviour to plots module
+import { magicFormula } from "./tires.js";
 
-export function initExplanation({ plots }) {
+export function initExplanation({ plots, sim }) {
   // steps array: each step has text and optional actions
   const steps = [
     {
@@ -44,9 +45,21 @@ Larger D -> greater ultimate grip; small D -> early saturation.`,
 E near 0 -> smooth; E positive -> sharper peak and drop-off.`,
       highlight: { charts: ["alphaFy", "mzAlpha"], annotate: "nonlinear" },
     },
+    {
+      title: "Aligning torque and steering feel",
+      text: `The tire's lateral force acts behind the wheel centre (pneumatic trail),
+giving an aligning torque Mz that steers the wheel back. The trail shrinks
+as the contact patch starts to slide, so Mz peaks at a few degrees of slip
+and falls while Fy is still rising: the steering goes light before the limit.
+Lower pressure -> longer contact patch -> more trail and a heavier feel.
+Through the steering ratio, rack friction and power assist this becomes
+the steering-wheel torque in the on-center chart.`,
+      highlight: { charts: ["mzAlpha", "onCenter"], annotate: null },
+    },
     {
       title: "How your input shape maps",
       text: `Your steering waveform (constant -> ramp up -> ramp down -> return) sweeps α from + to -.
+Play it from Maneuver -> "Constant → ramp → return".
 Look for:
 - linear near origin (B matters)
 - curvature toward peak (C,E)
@@ -56,7 +69,8 @@ Look for:
     },
     {
       title: "Interactive experimentation",
-      text: `Adjust B,C,D,E sliders to see:
+      text: `Adjust B,C,D,E sliders (front axle, live when the
+tire model is "Magic Formula" or "Brush") to see:
 - how the α vs Fy curve shifts
 - how yaw response and lateral accel change
 This helps parameter identification and intuition.`,
@@ -85,18 +99,6 @@ This helps parameter identification and intuition.`,
   let typingJob = null;
   let highlightsOn = true;
 
-  // Magic Formula JS function (vectorized)
-  function magicFormula(alphaRad, B, C, D, E) {
-    // alpha: array or number
-    const compute = (a) => {
-      const Bx = B * a;
-      const inner = Bx - E * (Bx - Math.atan(Bx));
-      return D * Math.sin(C * Math.atan(inner));
-    };
-    if (Array.isArray(alphaRad)) return alphaRad.map(compute);
-    return compute(alphaRad);
-  }
-
   // expose to plots module
   if (plots && plots.setMagicFormulaFn) {
     plots.setMagicFormulaFn(magicFormula);
@@ -164,13 +166,20 @@ This helps parameter identification and intuition.`,
       : "Show Highlights";
   });
 
-  // slider interactions: update MF overlay in plots
+  // sliders start from the simulator's front-axle tire so the overlay
+  // matches the live α–Fy scatter
+  if (sim) {
+    for (const k of Object.keys(sliders)) sliders[k].value = sim.tire.front[k];
+  }
+
+  // slider interactions: update MF overlay in plots and the live front tire
   const onSliderChange = () => {
     const B = parseFloat(sliders.B.value);
     const C = parseFloat(sliders.C.value);
     const D = parseFloat(sliders.D.value);
     const E = parseFloat(sliders.E.value);
     if (plots && plots.updateMFOverlay) plots.updateMFOverlay({ B, C, D, E });
+    if (sim) sim.setTireParams("front", { B, C, D, E });
   };
   Object.values(sliders).forEach((s) =>
     s.addEventListener("input", onSliderChange)
@@ -226,5 +235,12 @@ This helps parameter identification and intuition.`,
       D: parseFloat(sliders.D.value),
       E: parseFloat(sliders.E.value),
     }),
+    // e.g. a Magic Formula fit: moves the sliders, overlay and front tire
+    setParams: (params) => {
+      for (const k of Object.keys(sliders)) {
+        if (params[k] != null) sliders[k].value = params[k];
+      }
+      onSliderChange();
+    },
   };
 }
@@ -0,0 +1,88 @@
+// src/freqresp.js — frequency-response analysis of recorded runs
+//
+// Transfer functions are estimated as the ratio of Fourier integrals of
+// output and steering input, H(f) = Y(f) / Δ(f), evaluated at the excited
+// frequencies of a chirp or multisine run.
+import { dftAt, interp, leastSquares, logspace, mean, unwrap } from "./numeric.js";
+import { maneuverParams, multisineFrequencies } from "./maneuvers.js";
+
+// frequencies (Hz) at which to evaluate H for a given excitation
+export function analysisFrequencies(type, params) {
+  const p = maneuverParams(type, params);
+  if (type === "multisine") return multisineFrequencies(p);
+  // keep clear of the chirp end points where the excitation is thin
+  return logspace(p.f0 * 1.5, p.f1 * 0.9, 40);
+}
+
+// H(f) of output vs input channel of a sim buffer, starting at tStart
+// -> { freqs, mag, phase (deg, unwrapped), re, im }
+export function estimateFRF(buf, inputKey, outputKey, freqs, tStart = 0) {
+  let i0 = 0;
+  while (i0 < buf.time.length && buf.time[i0] < tStart) i0++;
+  const dt = buf.time[i0 + 1] - buf.time[i0];
+
+  const u = buf[inputKey].slice(i0);
+  const y = buf[outputKey].slice(i0);
+  const um = mean(u);
+  const ym = mean(y);
+  const ud = u.map((v) => v - um);
+  const yd = y.map((v) => v - ym);
+
+  const re = [];
+  const im = [];
+  for (const f of freqs) {
+    const U = dftAt(ud, dt, f);
+    const Y = dftAt(yd, dt, f);
+    const den = U.re * U.re + U.im * U.im || 1e-12;
+    re.push((Y.re * U.re + Y.im * U.im) / den);
+    im.push((Y.im * U.re - Y.re * U.im) / den);
+  }
+
+  const mag = re.map((r, i) => Math.hypot(r, im[i]));
+  const phase = unwrap(re.map((r, i) => Math.atan2(im[i], r))).map((p) => (p * 180) / Math.PI);
+  return { freqs, mag, phase, re, im };
+}
+
+// Fit H(s) = (b0 + b1 s) / (1 + a1 s + a2 s²) by Levy's linearised least
+// squares; the yaw-rate response of a two-axle vehicle has exactly this form.
+export function fitSecondOrder(frf) {
+  const A = [];
+  const b = [];
+  frf.freqs.forEach((f, i) => {
+    const w = 2 * Math.PI * f;
+    const hr = frf.re[i];
+    const hi = frf.im[i];
+    A.push([1, 0, w * hi, w * w * hr]);
+    b.push(hr);
+    A.push([0, w, -w * hr, w * w * hi]);
+    b.push(hi);
+  });
+
+  const x = leastSquares(A, b);
+  if (!x || !(x[3] > 0)) return null;
+  const [b0, b1, a1, a2] = x;
+  const wn = 1 / Math.sqrt(a2);
+  return { b0, b1, a1, a2, fn: wn / (2 * Math.PI), zeta: (a1 * wn) / 2 };
+}
+
+// Yaw natural frequency, damping, -3 dB bandwidth and phase lag at 1 Hz
+export function frfMetrics(frf) {
+  const fit = fitSecondOrder(frf);
+  const G0 = fit ? Math.abs(fit.b0) : frf.mag[0];
+
+  let bandwidth = null;
+  for (let i = 0; i < frf.freqs.length; i++) {
+    if (frf.mag[i] < G0 / Math.SQRT2) {
+      bandwidth = frf.freqs[i];
+      break;
+    }
+  }
+
+  return {
+    gain: G0,
+    fn: fit ? fit.fn : null,
+    zeta: fit ? fit.zeta : null,
+    bandwidth,
+    phaseLag1Hz: -interp(frf.freqs, frf.phase, 1.0),
+  };
+}
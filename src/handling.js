@@ -0,0 +1,149 @@
+// src/handling.js — steady-state handling: understeer gradient and
+// characteristic / critical speed
+//
+// Ku is expressed in rad/(m/s²) internally; *_deg_g variants in deg/g.
+import { G } from "./constants.js";
+import { slope } from "./numeric.js";
+
+const RAD2DEG = 180 / Math.PI;
+
+// Analytic understeer gradient of the single-track equivalent:
+//   Ku = (m / L) * (lr / Cf - lf / Cr)
+// with Cf, Cr the axle cornering stiffnesses at the sim's current per-wheel
+// pressures (both tires of the axle, small slip, static load).
+export function understeerGradient(sim) {
+  const L = sim.lf + sim.lr;
+  const Cf =
+    sim.tireCorneringStiffness("front", sim.pressureFL) +
+    sim.tireCorneringStiffness("front", sim.pressureFR);
+  const Cr =
+    sim.tireCorneringStiffness("rear", sim.pressureRL) +
+    sim.tireCorneringStiffness("rear", sim.pressureRR);
+
+  const Ku = (sim.m / L) * (sim.lr / Cf - sim.lf / Cr);
+  return { Ku, Ku_deg_g: Ku * G * RAD2DEG, Cf, Cr, ...criticalSpeeds(Ku, L) };
+}
+
+// Characteristic speed (understeer, max yaw gain) or critical speed
+// (oversteer, yaw instability), m/s; the other one is null
+export function criticalSpeeds(Ku, L) {
+  if (Ku > 0) return { vChar: Math.sqrt(L / Ku), vCrit: null };
+  if (Ku < 0) return { vChar: null, vCrit: Math.sqrt(-L / Ku) };
+  return { vChar: null, vCrit: null };
+}
+
+// Understeer gradient from a constant-speed run with slowly increasing
+// steer: δ = L u⁻² ay + Ku ay, so Ku = dδ/day − L/u². Only samples with
+// |ay| ≤ ayMax (linear range) are used.
+export function understeerFromConstantSpeed(buf, u, L, { ayMax = 4 } = {}) {
+  const ays = [];
+  const deltas = [];
+  for (let i = 0; i < buf.time.length; i++) {
+    const ay = buf.ay[i];
+    if (Math.abs(ay) > ayMax || Math.abs(ay) < 0.2) continue;
+    ays.push(ay);
+    deltas.push(buf.delta[i] / RAD2DEG);
+  }
+  const dDeltaDay = slope(ays, deltas); // rad/(m/s²)
+  if (dDeltaDay == null) return null;
+
+  const Ku = dDeltaDay - L / (u * u);
+  return { Ku, Ku_deg_g: Ku * G * RAD2DEG, ...criticalSpeeds(Ku, L) };
+}
+
+//------------------------------------------------------
+// Steady-state cornering tests (ISO 4138 style, quasi-steady speed ramp)
+//------------------------------------------------------
+// Both are VehicleSim controllers (update(sim, h)) that ramp sim.speed and
+// set done = true when the test ends: ay above ayMax, speed above vEnd,
+// steer beyond steerMax or after tMax seconds.
+
+const DEG2RAD = Math.PI / 180;
+
+class SpeedRampTest {
+  constructor(params) {
+    this.params = { vStart: 5, vEnd: 40, accel: 0.5, ayMax: 8, steerMax: 30, tMax: 90, ...params };
+    this.t = 0;
+    this.done = false;
+  }
+
+  start(sim) {
+    sim.speed = this.params.vStart;
+  }
+
+  update(sim, h) {
+    if (this.done) return;
+    const p = this.params;
+
+    this.steer(sim, h);
+    sim.speed = Math.min(p.vEnd, sim.speed + p.accel * h);
+    this.t += h;
+
+    if (
+      Math.abs(sim.ay) > p.ayMax ||
+      sim.speed >= p.vEnd ||
+      Math.abs(sim.steerInput) > p.steerMax ||
+      this.t > p.tMax
+    ) {
+      this.done = true;
+      sim.removeController(this);
+    }
+  }
+}
+
+// Steer is adjusted to hold path radius R (m) while speed ramps up.
+// δ = L/R feed-forward + PI on the curvature error 1/R − r/u.
+export class ConstantRadiusTest extends SpeedRampTest {
+  constructor(params) {
+    super({ radius: 40, vEnd: 30, kp: 8, ki: 20, ...params });
+    this.integral = 0;
+  }
+
+  steer(sim, h) {
+    const { radius, kp, ki } = this.params;
+    const L = sim.lf + sim.lr;
+    const err = 1 / radius - sim.r / Math.max(0.5, sim.speed);
+    this.integral += err * h;
+    const delta = L / radius + kp * err + ki * this.integral; // rad
+    sim.steerInput = delta / DEG2RAD;
+  }
+}
+
+// Fixed steer angle (deg) while speed ramps up
+export class ConstantSteerTest extends SpeedRampTest {
+  constructor(params) {
+    super({ steer: 3, accel: 1, ...params });
+  }
+
+  start(sim) {
+    super.start(sim);
+    sim.steerInput = this.params.steer;
+  }
+
+  steer(sim) {
+    sim.steerInput = this.params.steer;
+  }
+}
+
+export const STEADY_STATE_TESTS = {
+  constantRadius: { name: "Constant radius", Test: ConstantRadiusTest },
+  constantSteer: { name: "Constant steer", Test: ConstantSteerTest },
+};
+
+// Handling-diagram series from a steady-state test buffer (every `stride`-th
+// sample, skipping the first `skip` seconds while the controller settles):
+// ay (m/s²), δ − L/R (deg), β (deg), speed (km/h), yaw gain r/δ
+export function handlingDiagram(buf, L, { stride = 5, skip = 2 } = {}) {
+  const out = { ay: [], steerExcess: [], beta: [], speed_kmh: [], yawGain: [] };
+  for (let i = 0; i < buf.time.length; i += stride) {
+    if (buf.time[i] < skip) continue;
+    const u = Math.max(0.5, buf.speed[i]);
+    const r = buf.yaw[i] * DEG2RAD;
+    out.ay.push(buf.ay[i]);
+    out.steerExcess.push(buf.delta[i] - (L * r) / u / DEG2RAD); // L/R = L r / u
+    out.beta.push(buf.beta[i]);
+    out.speed_kmh.push(u * 3.6);
+    out.yawGain.push(Math.abs(buf.delta[i]) > 1e-3 ? buf.yaw[i] / buf.delta[i] : null);
+  }
+  return out;
+}
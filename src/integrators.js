@@ -0,0 +1,56 @@
+// src/integrators.js — fixed-step ODE integrators used by VehicleSim
+//
+// Every integrator advances a state array x by one step h, given
+// f(x) -> dx/dt (array of the same length). k1 = f(x) may be passed in when
+// the caller has already evaluated it (VehicleSim records outputs from it).
+
+export const INTEGRATORS = {
+  euler: "Forward Euler",
+  semiImplicit: "Semi-implicit Euler",
+  rk4: "Runge–Kutta 4",
+};
+
+function axpy(x, k, h) {
+  const out = new Array(x.length);
+  for (let i = 0; i < x.length; i++) out[i] = x[i] + h * k[i];
+  return out;
+}
+
+export function eulerStep(f, x, h, k1 = f(x)) {
+  return axpy(x, k1, h);
+}
+
+// States [0, split) (velocities) are advanced first with f(x); the rest
+// (slip lags, positions, angles) then use the updated velocities.
+export function semiImplicitStep(f, x, h, split, k1 = f(x)) {
+  const x1 = x.slice();
+  for (let i = 0; i < split; i++) x1[i] += h * k1[i];
+  if (split >= x.length) return x1;
+
+  const k2 = f(x1);
+  for (let i = split; i < x.length; i++) x1[i] = x[i] + h * k2[i];
+  return x1;
+}
+
+export function rk4Step(f, x, h, k1 = f(x)) {
+  const k2 = f(axpy(x, k1, h / 2));
+  const k3 = f(axpy(x, k2, h / 2));
+  const k4 = f(axpy(x, k3, h));
+  const out = new Array(x.length);
+  for (let i = 0; i < x.length; i++) {
+    out[i] = x[i] + (h / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]);
+  }
+  return out;
+}
+
+export function integrate(method, f, x, h, { split = x.length, k1 } = {}) {
+  switch (method) {
+    case "euler":
+      return eulerStep(f, x, h, k1);
+    case "semiImplicit":
+      return semiImplicitStep(f, x, h, split, k1);
+    case "rk4":
+    default:
+      return rk4Step(f, x, h, k1);
+  }
+}
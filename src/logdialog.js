@@ -0,0 +1,102 @@
+// src/logdialog.js — column-mapping dialog for measured CSV logs
+//
+// Shows the log's columns next to the channels of src/logreplay.js with a
+// unit per channel, the resampling step and the steering ratio, plus a
+// preview of the first rows. open(text) resolves with the built log, or
+// null when cancelled.
+import { LOG_CHANNELS, buildLog, guessMapping, parseCSVTable } from "./logreplay.js";
+
+const PREVIEW_ROWS = 5;
+
+export function createLogImportDialog(container) {
+  const el = document.createElement("div");
+  el.id = "log-dialog";
+  el.style.display = "none";
+  container.appendChild(el);
+
+  const options = (values, selected) =>
+    values.map((v) => `<option value="${v}"${v === selected ? " selected" : ""}>${v || "(none)"}</option>`).join("");
+
+  function render(table, mapping) {
+    const rows = Object.entries(LOG_CHANNELS)
+      .map(
+        ([key, ch]) => `<tr>
+          <td>${ch.label}${ch.required ? " *" : ""}</td>
+          <td><select data-column="${key}"></select></td>
+          <td><select data-unit="${key}">${options(Object.keys(ch.units), mapping[key].unit)}</select></td>
+        </tr>`
+      )
+      .join("");
+    const n = table.columns[table.headers[0]].length;
+    const preview = table.columns[table.headers[0]]
+      .slice(0, PREVIEW_ROWS)
+      .map((_, i) => `<tr>${table.headers.map((h) => `<td>${table.columns[h][i]}</td>`).join("")}</tr>`)
+      .join("");
+
+    el.innerHTML = `
+      <div class="log-dialog-card">
+        <h3>Import drive log (${n} rows)</h3>
+        <table class="metrics-table"><thead><tr><th>Channel</th><th>Column</th><th>Unit</th></tr></thead>
+          <tbody>${rows}</tbody></table>
+        <label>Resample step (s) <input data-opt="dt" type="number" min="0.001" step="0.001" value="0.01" /></label>
+        <label>Steering ratio (1 = road-wheel angle) <input data-opt="steerRatio" type="number" min="1" step="0.1" value="1" /></label>
+        <div class="log-dialog-preview"><table class="metrics-table">
+          <thead><tr></tr></thead><tbody>${preview}</tbody>
+        </table></div>
+        <div class="log-dialog-error"></div>
+        <div class="log-dialog-buttons"><button data-action="cancel">Cancel</button><button data-action="import">Import</button></div>
+      </div>`;
+
+    // header names come from the file: set as text, never parsed as HTML
+    for (const key of Object.keys(LOG_CHANNELS)) {
+      const select = el.querySelector(`[data-column="${key}"]`);
+      const selected = mapping[key].column ?? "";
+      for (const h of ["", ...table.headers]) select.add(new Option(h || "(none)", h, h === selected, h === selected));
+    }
+    const head = el.querySelector(".log-dialog-preview thead tr");
+    for (const h of table.headers) head.appendChild(document.createElement("th")).textContent = h;
+  }
+
+  function open(text) {
+    let table;
+    try {
+      table = parseCSVTable(text);
+    } catch (err) {
+      alert(`Log import failed: ${err.message}`);
+      return Promise.resolve(null);
+    }
+    render(table, guessMapping(table.headers));
+    el.style.display = "";
+
+    return new Promise((resolve) => {
+      const close = (log) => {
+        el.style.display = "none";
+        el.onclick = null;
+        resolve(log);
+      };
+      el.onclick = (e) => {
+        const action = e.target.dataset.action;
+        if (action === "cancel") close(null);
+        if (action !== "import") return;
+
+        const mapping = Object.fromEntries(
+          Object.keys(LOG_CHANNELS).map((key) => [
+            key,
+            {
+              column: el.querySelector(`[data-column="${key}"]`).value || null,
+              unit: el.querySelector(`[data-unit="${key}"]`).value,
+            },
+          ])
+        );
+        const opt = (name) => parseFloat(el.querySelector(`[data-opt="${name}"]`).value);
+        try {
+          close(buildLog(table, mapping, { dt: opt("dt"), steerRatio: opt("steerRatio") }));
+        } catch (err) {
+          el.querySelector(".log-dialog-error").textContent = err.message;
+        }
+      };
+    });
+  }
+
+  return { open };
+}
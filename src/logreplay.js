@@ -0,0 +1,262 @@
+// src/logreplay.js — measured drive logs: CSV import and replay through the model
+//
+// A CSV log is parsed into named columns, mapped onto the channels below
+// (column + unit per channel), converted to the sim's units and resampled
+// onto a uniform time grid starting at 0:
+//   { dt, time: [s], steer: [deg road-wheel], speed: [m/s],
+//     yaw: [deg/s] | null, ay: [m/s²] | null }
+// LogReplayer is a sim controller (like ManeuverPlayer) that feeds the
+// measured steering and speed to the sim and records the simulated yaw rate
+// and lateral acceleration on the log's grid; replayMetrics() compares them
+// with the measured channels.
+import { G } from "./constants.js";
+
+const RAD2DEG = 180 / Math.PI;
+
+// units: factor from the logged unit to the sim unit
+export const LOG_CHANNELS = {
+  time: { label: "Time", required: true, units: { s: 1, ms: 0.001 }, match: /^t$|time/ },
+  steer: { label: "Steering angle", required: true, units: { deg: 1, rad: RAD2DEG }, match: /steer|delta|swa/ },
+  speed: {
+    label: "Speed",
+    required: true,
+    units: { "km/h": 1 / 3.6, "m/s": 1, mph: 0.44704 },
+    match: /speed|vel|^v/,
+  },
+  yaw: { label: "Yaw rate", units: { "deg/s": 1, "rad/s": RAD2DEG }, match: /yaw|^r$|gyro/ },
+  ay: { label: "Lateral acceleration", units: { "m/s²": 1, g: G }, match: /^ay|lat.*acc|acc.*y/ },
+};
+
+// unit hints in column names, e.g. "speed_kmh", "yaw rate [rad/s]", "ay (g)"
+const UNIT_HINTS = [
+  [/km\/?h|kph/, "km/h"],
+  [/mph/, "mph"],
+  [/m\/s|mps/, "m/s"],
+  [/rad\/s|rads/, "rad/s"],
+  [/deg\/s|dps/, "deg/s"],
+  [/\bms\b|_ms$|\[ms\]|\(ms\)/, "ms"],
+  [/rad/, "rad"],
+  [/deg/, "deg"],
+  [/\bg\b|_g$|\[g\]|\(g\)/, "g"],
+];
+
+// CSV text -> { headers: [...], columns: { name: [numbers] } }
+// comma, semicolon or tab separated; non-numeric cells become NaN
+export function parseCSVTable(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim() && !l.startsWith("#"));
+  if (lines.length < 2) throw new Error("CSV has no data rows");
+  const sep = [",", ";", "\t"].find((c) => lines[0].includes(c)) || ",";
+  const headers = lines[0].split(sep).map((h) => h.trim().replace(/^"|"$/g, ""));
+  const columns = Object.fromEntries(headers.map((h) => [h, []]));
+  for (const line of lines.slice(1)) {
+    const cells = line.split(sep);
+    headers.forEach((h, i) => columns[h].push(cells[i] == null || cells[i].trim() === "" ? NaN : Number(cells[i])));
+  }
+  return { headers, columns };
+}
+
+// best-guess mapping { channel: { column, unit } } from the column names;
+// column is null when nothing matches
+export function guessMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+  for (const [key, ch] of Object.entries(LOG_CHANNELS)) {
+    const column = headers.find((h) => !used.has(h) && ch.match.test(h.toLowerCase())) ?? null;
+    if (column) used.add(column);
+    const hint = column && UNIT_HINTS.find(([re, unit]) => re.test(column.toLowerCase()) && unit in ch.units);
+    mapping[key] = { column, unit: hint ? hint[1] : Object.keys(ch.units)[0] };
+  }
+  return mapping;
+}
+
+// Mapped, converted and resampled log (see file header).
+// steerRatio converts a logged steering-wheel angle to the road-wheel angle.
+export function buildLog(table, mapping, { dt = 0.01, steerRatio = 1 } = {}) {
+  if (!(dt > 0)) throw new Error("The resample step must be positive");
+  if (!(steerRatio > 0)) throw new Error("The steering ratio must be positive");
+  const channel = (key) => {
+    const { column, unit } = mapping[key] || {};
+    if (!column) {
+      if (LOG_CHANNELS[key].required) throw new Error(`No column mapped to ${LOG_CHANNELS[key].label}`);
+      return null;
+    }
+    const raw = table.columns[column];
+    if (!raw) throw new Error(`Column "${column}" not in the log`);
+    const k = LOG_CHANNELS[key].units[unit];
+    if (k == null) throw new Error(`Unknown unit "${unit}" for ${LOG_CHANNELS[key].label}`);
+    return raw.map((v) => v * k);
+  };
+
+  const t = channel("time");
+  const series = { steer: channel("steer"), speed: channel("speed"), yaw: channel("yaw"), ay: channel("ay") };
+  series.steer = series.steer.map((v) => v / steerRatio);
+
+  // keep rows with a valid, strictly increasing time stamp
+  const rows = [];
+  t.forEach((v, i) => {
+    if (isFinite(v) && (!rows.length || v > t[rows[rows.length - 1]])) rows.push(i);
+  });
+  if (rows.length < 2) throw new Error("The log needs at least two increasing time stamps");
+  const t0 = t[rows[0]];
+  const tEnd = t[rows[rows.length - 1]] - t0;
+
+  const n = Math.floor(tEnd / dt + 1e-9) + 1;
+  const time = Array.from({ length: n }, (_, i) => i * dt);
+  const log = { dt, time };
+  for (const [key, values] of Object.entries(series)) {
+    if (!values) {
+      log[key] = null;
+      continue;
+    }
+    const x = [];
+    const y = [];
+    for (const i of rows) {
+      if (isFinite(values[i])) {
+        x.push(t[i] - t0);
+        y.push(values[i]);
+      }
+    }
+    if (x.length < 2) throw new Error(`${LOG_CHANNELS[key].label} has no usable samples`);
+    log[key] = resample(x, y, time);
+  }
+  return log;
+}
+
+// linear interpolation of (x, y) at sorted query points xq (held at the ends)
+function resample(x, y, xq) {
+  let j = 0;
+  return xq.map((q) => {
+    while (j < x.length - 2 && x[j + 1] < q) j++;
+    if (q <= x[0]) return y[0];
+    if (q >= x[x.length - 1]) return y[y.length - 1];
+    const w = (q - x[j]) / (x[j + 1] - x[j]);
+    return y[j] + w * (y[j + 1] - y[j]);
+  });
+}
+
+// simulated vs measured on the same grid ->
+//   { rmse, correlation, lag (s, > 0: simulation behind the measurement), n }
+export function replayMetrics(measured, simulated, dt, maxLag = 1) {
+  const n = Math.min(measured.length, simulated.length);
+  if (n < 3) return { rmse: null, correlation: null, lag: null, n };
+  const m = measured.slice(0, n);
+  const s = simulated.slice(0, n);
+
+  const rmse = Math.sqrt(m.reduce((acc, v, i) => acc + (s[i] - v) ** 2, 0) / n);
+
+  // Pearson correlation of m[i] with s[i + k]
+  const corr = (k) => {
+    const i0 = Math.max(0, -k);
+    const i1 = Math.min(n, n - k);
+    const len = i1 - i0;
+    if (len < 3) return NaN;
+    let ma = 0;
+    let sa = 0;
+    for (let i = i0; i < i1; i++) {
+      ma += m[i];
+      sa += s[i + k];
+    }
+    ma /= len;
+    sa /= len;
+    let cov = 0;
+    let vm = 0;
+    let vs = 0;
+    for (let i = i0; i < i1; i++) {
+      const a = m[i] - ma;
+      const b = s[i + k] - sa;
+      cov += a * b;
+      vm += a * a;
+      vs += b * b;
+    }
+    return vm > 0 && vs > 0 ? cov / Math.sqrt(vm * vs) : NaN;
+  };
+
+  const K = Math.min(Math.round(maxLag / dt), Math.floor(n / 2));
+  let bestK = 0;
+  let best = -Infinity;
+  for (let k = -K; k <= K; k++) {
+    const c = corr(k);
+    if (c > best) {
+      best = c;
+      bestK = k;
+    }
+  }
+  const c0 = corr(0);
+  return { rmse, correlation: isFinite(c0) ? c0 : null, lag: isFinite(best) ? bestK * dt : null, n };
+}
+
+// Replays a log on a VehicleSim: steering and speed follow the log, the sim
+// starts from straight running at t = 0 (buffers cleared).
+export class LogReplayer {
+  constructor(sim) {
+    this.sim = sim;
+    this.log = null;
+    this.state = "idle"; // "idle" | "playing" | "done"
+    this.t = 0;
+    this.onDone = null; // called with metrics() when the log ends
+    this.simulated = { yaw: [], ay: [] };
+  }
+
+  load(log) {
+    this.stop();
+    this.log = log;
+    this.simulated = { yaw: [], ay: [] };
+  }
+
+  get duration() {
+    return this.log ? this.log.time[this.log.time.length - 1] : 0;
+  }
+
+  play() {
+    if (!this.log) return;
+    const sim = this.sim;
+    sim.resetBuffers();
+    sim.speed = Math.max(0.01, this.log.speed[0]);
+    sim.steerInput = this.log.steer[0];
+    this.t = 0;
+    this.simulated = { yaw: [], ay: [] };
+    this.state = "playing";
+    sim.addController(this);
+  }
+
+  stop() {
+    this.state = "idle";
+    this.sim.removeController(this);
+  }
+
+  // controller hook, called by VehicleSim before every substep
+  update(sim, h) {
+    if (this.state !== "playing") return;
+    const { dt, steer, speed } = this.log;
+
+    // simulated response on the log's grid
+    const n = this.log.time.length;
+    while (this.simulated.yaw.length < n && this.t >= this.simulated.yaw.length * dt - 1e-9) {
+      this.simulated.yaw.push(sim.r * RAD2DEG);
+      this.simulated.ay.push(sim.ay);
+    }
+
+    const x = Math.min(this.t / dt, steer.length - 1);
+    const k = Math.min(Math.floor(x), steer.length - 2);
+    const w = x - k;
+    sim.steerInput = steer[k] + w * (steer[k + 1] - steer[k]);
+    sim.speed = Math.max(0.01, speed[k] + w * (speed[k + 1] - speed[k]));
+    this.t += h;
+
+    if (this.t > this.duration + 1e-9) {
+      this.state = "done";
+      sim.removeController(this);
+      this.onDone?.(this.metrics());
+    }
+  }
+
+  // { yaw: replayMetrics | null, ay: replayMetrics | null } for the part played so far
+  metrics() {
+    const { log } = this;
+    if (!log) return { yaw: null, ay: null };
+    return {
+      yaw: log.yaw ? replayMetrics(log.yaw, this.simulated.yaw, log.dt) : null,
+      ay: log.ay ? replayMetrics(log.ay, this.simulated.ay, log.dt) : null,
+    };
+  }
+}
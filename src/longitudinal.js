@@ -0,0 +1,205 @@
+// src/longitudinal.js — drive, brake and drag forces and combined slip
+//
+// With sim.longitudinal on, forward speed is a state:
+//   m (u̇ − vy r) = Σ Fx (tires, rolling resistance) − ½ ρ CdA u²
+// Throttle (0..1) asks for drive force, limited by drivePower / u and
+// maxDriveForce, split front/rear by driveSplitF; a closed throttle gives
+// engine braking on the driven wheels. Brake (0..1) asks for up to
+// maxBrakeForce, split by brakeBias. Each tire delivers its share up to its
+// peak force D (load, pressure and temperature as for Fy) and the lateral
+// force shrinks on the friction ellipse:
+//   Fy = Fy_pure · √(1 − (Fx / D)²)
+// The slip ratio follows from the longitudinal slip stiffness, which grows
+// with the contact length as pressure drops: Cκ ∝ (Fz / Fz0) · (P0 / P)^n.
+//
+// Turn-exit tests (brake in turn, lift-off) and their metrics run the car
+// on a circle with these dynamics on and disturb it with the pedals.
+import { G } from "./constants.js";
+
+export const DEFAULT_LONGITUDINAL = {
+  drivePower: 110000, // W at the wheels
+  maxDriveForce: 6000, // N, traction limit of the drivetrain
+  driveSplitF: 1, // front share of drive force (1 = FWD, 0 = RWD)
+  engineBraking: 500, // N at the driven wheels with the throttle closed
+  maxBrakeForce: 15000, // N, all four wheels at brake = 1
+  brakeBias: 0.7, // front share of brake force
+  CdA: 0.7, // m², drag coefficient × frontal area
+  airDensity: 1.2, // kg/m³
+  longStiffness0: 120000, // N per unit slip ratio, one tire at Fz0 and P0
+  longStiffnessExp: 0.3, // Cκ ∝ (P0/P)^n
+};
+
+const DEG2RAD = Math.PI / 180;
+
+// engine braking fades out below about this speed (m/s)
+const CREEP_SPEED = 1;
+
+// total drive force (N) for throttle at speed u; negative with the throttle
+// closed (engine braking)
+export function driveForce(throttle, u, p) {
+  const t = Math.max(0, Math.min(1, throttle));
+  const available = Math.min(p.maxDriveForce, p.drivePower / Math.max(1, u));
+  return t * available - (1 - t) * p.engineBraking * Math.tanh(u / CREEP_SPEED);
+}
+
+// total brake force (N, positive) for brake pedal 0..1
+export function brakeForce(brake, p) {
+  return Math.max(0, Math.min(1, brake)) * p.maxBrakeForce;
+}
+
+export function aeroDrag(u, p) {
+  return 0.5 * p.airDensity * p.CdA * u * Math.abs(u);
+}
+
+// requested longitudinal force per wheel (N) from drive and brake totals
+export function wheelForceDemand(w, drive, brake, p) {
+  const front = w[0] === "F";
+  const driveShare = front ? p.driveSplitF : 1 - p.driveSplitF;
+  const brakeShare = front ? p.brakeBias : 1 - p.brakeBias;
+  return 0.5 * (drive * driveShare - brake * brakeShare);
+}
+
+// friction ellipse: demand Fx capped at the peak force, lateral force
+// reduced by the share of grip used longitudinally -> { Fx, Fy }
+export function combineSlip(FxDemand, FyPure, Fmax) {
+  if (!(Fmax > 0)) return { Fx: 0, Fy: 0 };
+  const Fx = Math.max(-Fmax, Math.min(Fmax, FxDemand));
+  const r = Fx / Fmax;
+  return { Fx, Fy: FyPure * Math.sqrt(Math.max(0, 1 - r * r)) };
+}
+
+// longitudinal slip stiffness (N per unit slip ratio) of one tire
+export function longitudinalStiffness(FzRatio, PRatio, p) {
+  return p.longStiffness0 * Math.max(0, FzRatio) * Math.pow(1 / Math.max(0.05, PRatio), p.longStiffnessExp);
+}
+
+// slip ratio κ of a tire delivering Fx (linear range; ±1 once it locks or
+// spins at the grip limit)
+export function slipRatio(Fx, Ckappa, Fmax) {
+  if (!(Ckappa > 0)) return 0;
+  if (Fmax > 0 && Math.abs(Fx) >= Fmax) return Math.sign(Fx);
+  return Math.max(-1, Math.min(1, Fx / Ckappa));
+}
+
+//------------------------------------------------------
+// Transient turn tests (ISO 7975 brake in turn, ISO 9816 lift-off)
+//------------------------------------------------------
+// The car settles on a circle of `radius` at lateral acceleration ay0
+// (steering PI on the path curvature, throttle P on the speed), then at
+// tEvent the steering wheel is held and the test brakes with `decel`
+// (m/s², open-loop brake pedal) or closes the throttle. It ends `after`
+// seconds later. Both are VehicleSim controllers with start(sim) and done.
+
+class TurnExitTest {
+  constructor(params) {
+    this.params = { radius: 100, ay0: 4, tEvent: 5, after: 3, kp: 8, ki: 20, kThrottle: 0.5, ...params };
+    this.t = 0;
+    this.done = false;
+    this.integral = 0;
+  }
+
+  get speed0() {
+    return Math.sqrt(this.params.ay0 * this.params.radius);
+  }
+
+  start(sim) {
+    sim.longitudinal = true;
+    sim.speed = this.speed0;
+    sim.brake = 0;
+    sim.throttle = 0.2;
+    sim.steerInput = (sim.lf + sim.lr) / this.params.radius / DEG2RAD;
+    this.tEvent = this.params.tEvent;
+  }
+
+  update(sim, h) {
+    if (this.done) return;
+    const p = this.params;
+
+    if (this.t < p.tEvent) {
+      // hold the circle at constant speed
+      const L = sim.lf + sim.lr;
+      const err = 1 / p.radius - sim.r / Math.max(0.5, sim.speed);
+      this.integral += err * h;
+      sim.steerInput = (L / p.radius + p.kp * err + p.ki * this.integral) / DEG2RAD;
+      const drag = aeroDrag(sim.speed, sim.longitudinalParams);
+      const rolling = sim.rollingResistanceCoeff(sim.P0) * sim.m * G;
+      const feedForward = (drag + rolling) / sim.longitudinalParams.maxDriveForce;
+      sim.throttle = Math.max(0, Math.min(1, feedForward + p.kThrottle * (this.speed0 - sim.speed)));
+      sim.brake = 0;
+    } else {
+      this.event(sim);
+    }
+
+    this.t += h;
+    if (this.t > p.tEvent + p.after) {
+      this.done = true;
+      sim.removeController(this);
+    }
+  }
+}
+
+// brake at `decel` (m/s²) with the steering wheel held
+export class BrakeInTurnTest extends TurnExitTest {
+  constructor(params) {
+    super({ decel: 4, ...params });
+  }
+
+  event(sim) {
+    sim.throttle = 0;
+    sim.brake = (sim.m * this.params.decel) / sim.longitudinalParams.maxBrakeForce;
+  }
+}
+
+// close the throttle with the steering wheel held
+export class LiftOffTest extends TurnExitTest {
+  event(sim) {
+    sim.throttle = 0;
+    sim.brake = 0;
+  }
+}
+
+export const TURN_EXIT_TESTS = {
+  brakeInTurn: { name: "Brake in turn", Test: BrakeInTurnTest },
+  liftOff: { name: "Lift-off in turn", Test: LiftOffTest },
+};
+
+// Response of a turn-exit run relative to the moment of the event tEvent:
+//   yawRatio    r / r_ref at tEvent + at, with r_ref = r0 · u / u0 the yaw
+//               rate that would keep the original path radius (> 1: the car
+//               turns in, i.e. tucks in / oversteers)
+//   headingError  ∫ (r − r_ref) dt over the same time (deg)
+//   betaChange  sideslip change (deg)
+//   decel       mean deceleration (m/s²)
+//   series      time since the event and r / r_ref for plotting
+export function turnExitMetrics(buf, tEvent, { at = 1 } = {}) {
+  const n = buf.time.length;
+  let i0 = 0;
+  while (i0 < n - 1 && buf.time[i0] < tEvent) i0++;
+  const r0 = buf.yaw[i0];
+  const u0 = buf.speed[i0];
+  const beta0 = buf.beta[i0];
+
+  const series = { time: [], yawRatio: [] };
+  let heading = 0;
+  let iAt = i0;
+  for (let i = i0; i < n; i++) {
+    const dt = i > i0 ? buf.time[i] - buf.time[i - 1] : 0;
+    const rRef = (r0 * buf.speed[i]) / u0;
+    const tau = buf.time[i] - tEvent;
+    if (tau <= at) {
+      heading += (buf.yaw[i] - rRef) * dt;
+      iAt = i;
+    }
+    series.time.push(tau);
+    series.yawRatio.push(Math.abs(rRef) > 1e-6 ? buf.yaw[i] / rRef : null);
+  }
+
+  const tAt = buf.time[iAt] - buf.time[i0];
+  return {
+    yawRatio: series.yawRatio[iAt - i0],
+    headingError: heading,
+    betaChange: buf.beta[iAt] - beta0,
+    decel: tAt > 0 ? (u0 - buf.speed[iAt]) / tAt : 0,
+    series,
+  };
+}
@@ -3,6 +3,17 @@ import { VehicleSim } from "./sim.js";
 import { createUI } from "./ui.js";
 import { createPlots } from "./plots.js";
 import { initExplanation } from "./explain.js";
+import { ManeuverPlayer } from "./maneuvers.js";
+import { Comparison } from "./compare.js";
+import { TireEventScheduler } from "./tireevents.js";
+import { DirectTPMS, IndirectTPMS } from "./tpms.js";
+import { createTPMSDashboard } from "./dashboard.js";
+import { DEFAULT_PRESET, VEHICLE_PRESETS, vehicleConfig } from "./vehicles.js";
+import { LogReplayer } from "./logreplay.js";
+import { createLogImportDialog } from "./logdialog.js";
+import { DiskRecorder } from "./recorder.js";
+import { DriverModel } from "./driver.js";
+import { bufferFitData, fitMagicFormula, parseAlphaFyCSV, prepareFitData } from "./mffit.js";
 
 const container = document.getElementById("canvas-container");
 
@@ -16,14 +27,14 @@ async function start() {
   // 2. Create simulator
   //--------------------------------------------------
   const sim = new VehicleSim({
-    m: 1500,
-    Iz: 2500,
-    lf: 1.2,
-    lr: 1.6,
+    ...vehicleConfig(VEHICLE_PRESETS[DEFAULT_PRESET]),
     u: 20,
-    P0: 32,
-    Calpha0: 80000,
     sigma0: 0.2,
+    tireModel: "magic",
+    stiffnessModel: "surface",
+    bodyRoll: true,
+    integrator: "rk4",
+    fixedDt: 0.002,
   });
 
   window.sim = sim; // expose globally
@@ -35,42 +46,201 @@ async function start() {
   //--------------------------------------------------
   // 3. Create UI & Plots
   //--------------------------------------------------
-  const gui = createUI(sim);
+  const maneuver = new ManeuverPlayer(sim);
+  window.maneuver = maneuver;
+
+  // side-by-side pressure setups, stepped in lockstep with the live sim
+  const comparison = new Comparison(sim);
+  comparison.onRebuild = (vehicles) => sceneApp.setCompanions(vehicles);
+  window.comparison = comparison;
+
+  // leaks, blowouts and reinflation during a drive
+  const tireEvents = new TireEventScheduler(sim);
+  window.tireEvents = tireEvents;
+
+  // tire pressure monitoring on the live sim, with a warning overlay
+  const tpms = { direct: new DirectTPMS(), indirect: new IndirectTPMS() };
+  sim.addController(tpms.direct);
+  sim.addController(tpms.indirect);
+  window.tpms = tpms;
+  const dashboard = createTPMSDashboard(container, tpms);
+
+  // closed-loop driver following a target path
+  const driver = new DriverModel(sim);
+  window.driver = driver;
+
+  // measured drive logs replayed through the model
+  const replay = new LogReplayer(sim);
+  window.replay = replay;
+  const logDialog = createLogImportDialog(document.body);
+
+  // a saved run (src/dataexport.js) drawn next to the live one, sample by
+  // sample from the start of both runs
+  const reference = { run: null, name: "", history: null };
+  window.reference = reference;
+
+  // full-length recording of sim.history to IndexedDB
+  const recorder = new DiskRecorder(sim);
+  recorder.onError = (err) => alert(`Recording stopped: ${err?.message ?? err}`);
+  window.recorder = recorder;
+
   const plots = createPlots(sim);
+  const gui = createUI(sim, {
+    maneuver,
+    sceneApp,
+    comparison,
+    tireEvents,
+    tpms,
+    dashboard,
+    replay,
+    driver,
+    logDialog,
+    reference,
+    recorder,
+    liveView: plots.liveView,
+    // the new vehicle brings new front tires: refresh the MF sliders so they
+    // do not write the previous tire back
+    onVehicleChange: () => expl.setParams(sim.tire.front),
+  });
+  replay.onDone = (metrics) => plots.showReplayMetrics(metrics);
 
   //--------------------------------------------------
   // 4. Explanation system (Magic Formula flow)
   //--------------------------------------------------
-  const expl = initExplanation({ plots });
+  const expl = initExplanation({ plots, sim });
   window.expl = expl;
 
   //--------------------------------------------------
   // 5. Main loop
   //--------------------------------------------------
   let last = performance.now();
+  let shownPath = null;
   function animate(t) {
     const dt = Math.min(0.05, (t - last) / 1000);
     last = t;
 
-    sim.step(dt);
-    sceneApp.update(dt);
-    plots.update();
+    comparison.step(dt);
+    const path = driver.state === "idle" ? null : driver.path;
+    if (path !== shownPath) sceneApp.setTargetPath((shownPath = path));
+    sceneApp.update(dt, sim);
+    const references = reference.history
+      ? [{ sim: { history: reference.history }, label: `ref ${reference.name}`, color: "rgba(120, 120, 120, 0.7)" }]
+      : [];
+    plots.update([...comparison.vehicles, ...references], replay.state === "idle" ? null : replay.log);
+    plots.updateTireEvents(tireEvents.log);
+    dashboard.update();
+    recorder.flush();
 
     requestAnimationFrame(animate);
   }
   requestAnimationFrame(animate);
 
   //--------------------------------------------------
-  // 6. Pressure sweep controls
+  // 6. Pressure sweep / analysis controls
   //--------------------------------------------------
-  document.getElementById("run-sweep").addEventListener("click", async () => {
-    const btn = document.getElementById("run-sweep");
-    btn.disabled = true;
+  // Disables the button while run(onProgress) is busy, shows progress and
+  // reports a failed run
+  function bindRunButton(id, busyText, run) {
+    const btn = document.getElementById(id);
+    btn.addEventListener("click", async () => {
+      const label = btn.textContent;
+      btn.disabled = true;
+      try {
+        await run((done, total) => {
+          btn.textContent = `${busyText}… ${done}/${total}`;
+        });
+      } catch (err) {
+        alert(`${label} failed: ${err.message}`);
+      } finally {
+        btn.textContent = label;
+        btn.disabled = false;
+      }
+    });
+  }
+
+  bindRunButton("run-sweep", "Running sweep", async (onProgress) => {
+    window.lastSweepResults = await plots.runPressureSweep(onProgress);
+  });
+
+  bindRunButton("run-freq", "Running excitation", async (onProgress) => {
+    const excitation = document.getElementById("freq-excitation").value;
+    window.lastFreqResults = await plots.runFrequencyResponse(onProgress, { excitation });
+  });
+
+  bindRunButton("run-step", "Running step steers", async (onProgress) => {
+    window.lastStepResults = await plots.runStepResponseSweep(onProgress);
+  });
+
+  bindRunButton("run-steady", "Running steady-state tests", async (onProgress) => {
+    window.lastSteadyResults = await plots.runSteadyStateTests(onProgress);
+  });
 
-    const sweepResults = await plots.runPressureSweep?.(); // optional chaining
-    window.lastSweepResults = sweepResults;
+  bindRunButton("run-tpms", "Running leak scenarios", async (onProgress) => {
+    window.lastTPMSResults = await plots.runTPMSScenarios(onProgress);
+  });
+
+  // Magic Formula fits: the result goes into the sliders, overlay and the
+  // live front tire
+  function applyMFFit(fit) {
+    window.lastMFFit = fit;
+    plots.showMFFit(fit);
+    expl.setParams(fit);
+  }
+
+  document.getElementById("fit-mf-buffer").addEventListener("click", () => {
+    const data = bufferFitData(sim.buf, ["FL", "FR"], sim.tire.front.Fz0);
+    try {
+      applyMFFit(fitMagicFormula(data.alpha, data.Fy));
+    } catch (err) {
+      alert(`Magic Formula fit failed: ${err.message}`);
+    }
+  });
+
+  // CSV columns: alpha (deg), Fy (N), optional Fz (N) — see src/mffit.js
+  document.getElementById("fit-mf-import").addEventListener("click", () => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".csv,.txt,text/csv";
+    input.onchange = async () => {
+      const file = input.files[0];
+      if (!file) return;
+      try {
+        const data = prepareFitData(parseAlphaFyCSV(await file.text()), { Fz0: sim.tire.front.Fz0 });
+        applyMFFit(fitMagicFormula(data.alpha, data.Fy));
+      } catch (err) {
+        alert(`Magic Formula fit failed: ${err.message}`);
+      }
+    };
+    input.click();
+  });
+
+  bindRunButton("run-mf-sweep", "Fitting MF per pressure", async (onProgress) => {
+    window.lastMFSweepResults = await plots.runMFFitSweep(onProgress);
+  });
+
+  bindRunButton("run-on-center", "Running on-center weaves", async (onProgress) => {
+    window.lastOnCenterResults = await plots.runOnCenterSweep(onProgress);
+  });
+
+  // path and driver settings as last chosen in the Driver model folder
+  bindRunButton("run-driver", "Driving the path per pressure", async (onProgress) => {
+    const config = driver.config ?? { path: "laneChange" };
+    window.lastDriverResults = await plots.runDriverSweep(
+      { ...config, speed_kmh: config.speed_kmh ?? sim.speed * 3.6 },
+      onProgress
+    );
+  });
+
+  bindRunButton("run-turn-exit", "Running turn-exit tests", async (onProgress) => {
+    window.lastTurnExitResults = await plots.runTurnExitTests(onProgress);
+  });
+
+  bindRunButton("run-surface", "Running surfaces × pressures", async (onProgress) => {
+    window.lastSurfaceResults = await plots.runSurfaceSweep(onProgress);
+  });
 
-    btn.disabled = false;
+  bindRunButton("run-roll", "Running roll ramps", async (onProgress) => {
+    window.lastRollResults = await plots.runRollSweep(onProgress);
   });
 
   document.getElementById("export-csv").addEventListener("click", () => {
@@ -78,8 +248,8 @@ async function start() {
     if (!res) return alert("Run pressure sweep first.");
 
     const csv = [
-      "Pressure,Cornering_Stiffness,Yaw_Gain",
-      ...res.map((r) => `${r.P},${r.C_est},${r.yawGain}`)
+      "Pressure,Cornering_Stiffness,Yaw_Gain,Ku_deg_per_g,Ku_sim_deg_per_g,V_char_mps,V_crit_mps",
+      ...res.map((r) => `${r.P},${r.C_est},${r.yawGain},${r.Ku},${r.KuSim ?? ""},${r.vChar ?? ""},${r.vCrit ?? ""}`)
     ].join("\n");
 
     const blob = new Blob([csv], { type: "text/csv" });
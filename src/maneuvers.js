@@ -0,0 +1,222 @@
+// src/maneuvers.js — scripted steering maneuvers (ISO-style open-loop inputs)
+//
+// Each maneuver is a pure function of maneuver time t (s) returning the
+// steering input in degrees, plus default parameters and a duration.
+// ManeuverPlayer runs one of them on a VehicleSim as a controller, so the
+// steer input is updated on every fixed substep rather than every frame.
+
+const clamp01 = (x) => Math.max(0, Math.min(1, x));
+const TWO_PI = 2 * Math.PI;
+
+export const MANEUVERS = {
+  step: {
+    name: "Step steer",
+    defaults: { amplitude: 3, tStart: 0.5, riseTime: 0.15, hold: 4 },
+    steer: (t, p) => p.amplitude * clamp01((t - p.tStart) / p.riseTime),
+    duration: (p) => p.tStart + p.riseTime + p.hold,
+  },
+
+  ramp: {
+    name: "Ramp steer",
+    defaults: { amplitude: 20, tStart: 0.5, rate: 4 },
+    steer: (t, p) => Math.min(p.amplitude, Math.max(0, (t - p.tStart) * p.rate)),
+    duration: (p) => p.tStart + p.amplitude / p.rate + 1,
+  },
+
+  sine: {
+    name: "Sine steer",
+    defaults: { amplitude: 3, tStart: 0.5, frequency: 0.5, cycles: 3 },
+    steer: (t, p) => {
+      const tau = t - p.tStart;
+      if (tau < 0 || tau > p.cycles / p.frequency) return 0;
+      return p.amplitude * Math.sin(TWO_PI * p.frequency * tau);
+    },
+    duration: (p) => p.tStart + p.cycles / p.frequency + 1,
+  },
+
+  // FMVSS 126 / ECE R13-H style: 0.7 Hz sine with a dwell at the second peak
+  sineDwell: {
+    name: "Sine with dwell",
+    defaults: { amplitude: 6, tStart: 0.5, frequency: 0.7, dwell: 0.5 },
+    steer: (t, p) => {
+      const tau = t - p.tStart;
+      const T = 1 / p.frequency;
+      if (tau < 0) return 0;
+      if (tau < 0.75 * T) return p.amplitude * Math.sin(TWO_PI * p.frequency * tau);
+      if (tau < 0.75 * T + p.dwell) return -p.amplitude;
+      const tau2 = tau - p.dwell;
+      if (tau2 < T) return p.amplitude * Math.sin(TWO_PI * p.frequency * tau2);
+      return 0;
+    },
+    duration: (p) => p.tStart + 1 / p.frequency + p.dwell + 1.5,
+  },
+
+  // linear frequency sweep f0 -> f1 over sweepTime
+  chirp: {
+    name: "Frequency chirp",
+    defaults: { amplitude: 2, tStart: 0.5, f0: 0.1, f1: 3, sweepTime: 20 },
+    steer: (t, p) => {
+      const tau = t - p.tStart;
+      if (tau < 0 || tau > p.sweepTime) return 0;
+      const phase = TWO_PI * (p.f0 * tau + ((p.f1 - p.f0) * tau * tau) / (2 * p.sweepTime));
+      return p.amplitude * Math.sin(phase);
+    },
+    duration: (p) => p.tStart + p.sweepTime + 1,
+  },
+
+  // Schroeder-phased multisine on multiples of 1/period (low crest factor);
+  // amplitude is the per-tone amplitude scaled so the RMS matches one sine
+  multisine: {
+    name: "Multisine",
+    defaults: { amplitude: 2, tStart: 0.5, f0: 0.1, f1: 3, tones: 25, period: 10, periods: 2 },
+    steer: (t, p) => {
+      const tau = t - p.tStart;
+      if (tau < 0 || tau > p.period * p.periods) return 0;
+      const freqs = multisineFrequencies(p);
+      const N = freqs.length;
+      let s = 0;
+      freqs.forEach((f, k) => {
+        s += Math.sin(TWO_PI * f * tau - (Math.PI * k * (k + 1)) / N);
+      });
+      return (p.amplitude * s) / Math.sqrt(N);
+    },
+    duration: (p) => p.tStart + p.period * p.periods + 1,
+  },
+
+  // open-loop approximation of ISO 3888: out to the left lane, hold, back
+  doubleLaneChange: {
+    name: "Double lane change",
+    defaults: { amplitude: 4, tStart: 0.5, period: 2.5, gap: 1 },
+    steer: (t, p) => {
+      const tau = t - p.tStart;
+      if (tau < 0) return 0;
+      if (tau < p.period) return p.amplitude * Math.sin((TWO_PI * tau) / p.period);
+      const tau2 = tau - p.period - p.gap;
+      if (tau2 < 0 || tau2 > p.period) return 0;
+      return -p.amplitude * Math.sin((TWO_PI * tau2) / p.period);
+    },
+    duration: (p) => p.tStart + 2 * p.period + p.gap + 1.5,
+  },
+
+  // constant -> ramp up -> ramp down -> return (sweeps α from + to -)
+  sweep: {
+    name: "Constant → ramp → return",
+    defaults: { amplitude: 10, tStart: 0.5, hold: 1.5, rampTime: 2 },
+    steer: (t, p) => {
+      const A = p.amplitude;
+      const base = 0.25 * A;
+      let tau = t - p.tStart;
+      if (tau < 0) return 0;
+      if (tau < p.hold) return base;
+      tau -= p.hold;
+      if (tau < p.rampTime) return base + (A - base) * (tau / p.rampTime);
+      tau -= p.rampTime;
+      if (tau < 2 * p.rampTime) return A - 2 * A * (tau / (2 * p.rampTime));
+      tau -= 2 * p.rampTime;
+      if (tau < p.rampTime) return -A * (1 - tau / p.rampTime);
+      return 0;
+    },
+    duration: (p) => p.tStart + p.hold + 4 * p.rampTime + 1,
+  },
+};
+
+// log-spaced multisine tones, snapped to multiples of 1/period (Hz)
+export function multisineFrequencies(p) {
+  const df = 1 / p.period;
+  const out = [];
+  for (let k = 0; k < p.tones; k++) {
+    const f = p.f0 * Math.pow(p.f1 / p.f0, k / Math.max(1, p.tones - 1));
+    const snapped = Math.max(1, Math.round(f / df)) * df;
+    if (!out.length || snapped > out[out.length - 1] + 1e-9) out.push(snapped);
+  }
+  return out;
+}
+
+// maneuver parameters = defaults overridden by params
+export function maneuverParams(type, params = {}) {
+  return { ...MANEUVERS[type].defaults, ...params };
+}
+
+export function maneuverSteer(type, t, params) {
+  return MANEUVERS[type].steer(t, params);
+}
+
+export function maneuverDuration(type, params) {
+  return MANEUVERS[type].duration(params);
+}
+
+// Plays a maneuver on a VehicleSim. config = { type, params, speed_kmh, pressures }
+export class ManeuverPlayer {
+  constructor(sim) {
+    this.sim = sim;
+    this.state = "idle"; // "idle" | "playing" | "paused" | "done"
+    this.t = 0;
+    this.config = null;
+  }
+
+  load(config) {
+    this.config = {
+      ...config,
+      params: maneuverParams(config.type, config.params),
+    };
+    this.state = "idle";
+    this.t = 0;
+  }
+
+  get duration() {
+    return this.config ? maneuverDuration(this.config.type, this.config.params) : 0;
+  }
+
+  // apply speed / pressures, clear the buffers and start from t = 0
+  restart() {
+    if (!this.config) return;
+    const { speed_kmh, pressures } = this.config;
+    const sim = this.sim;
+
+    if (speed_kmh != null) sim.speed = speed_kmh / 3.6;
+    if (pressures) {
+      sim.pressureFL = pressures.FL;
+      sim.pressureFR = pressures.FR;
+      sim.pressureRL = pressures.RL;
+      sim.pressureRR = pressures.RR;
+    }
+
+    sim.resetBuffers();
+    this.t = 0;
+    sim.steerInput = maneuverSteer(this.config.type, 0, this.config.params);
+    this.resume();
+  }
+
+  play() {
+    if (!this.config) return;
+    if (this.state === "idle" || this.state === "done") this.restart();
+    else this.resume();
+  }
+
+  resume() {
+    this.state = "playing";
+    this.sim.addController(this);
+  }
+
+  pause() {
+    if (this.state === "playing") this.state = "paused";
+  }
+
+  stop() {
+    this.state = "idle";
+    this.sim.removeController(this);
+  }
+
+  // controller hook, called by VehicleSim before every substep
+  update(sim, h) {
+    if (this.state !== "playing") return;
+
+    sim.steerInput = maneuverSteer(this.config.type, this.t, this.config.params);
+    this.t += h;
+
+    if (this.t >= this.duration) {
+      this.state = "done";
+      sim.removeController(this);
+    }
+  }
+}
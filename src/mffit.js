@@ -0,0 +1,177 @@
+// src/mffit.js — Magic Formula identification from α–Fy data
+//
+// fitMagicFormula() fits Fy = D·sin(C·atan(Bα − E(Bα − atan(Bα)))) by
+// Levenberg–Marquardt with an analytic Jacobian. Confidence intervals come
+// from the parameter covariance s²·(JᵀJ)⁻¹ at the optimum (95 %, normal
+// approximation). With vertical loads given, forces are first scaled to the
+// reference load Fz0 (Fy·Fz0/Fz), so data recorded under load transfer maps
+// onto one curve whose D is the peak at Fz0 — the form the sliders and
+// sim.tire use.
+import { invertMatrix, levenbergMarquardt } from "./numeric.js";
+import { magicFormula } from "./tires.js";
+
+export const MF_PARAMS = ["B", "C", "D", "E"];
+const Z95 = 1.96;
+const DEG2RAD = Math.PI / 180;
+const MAX_FIT_SAMPLES = 4000;
+
+// valid ranges (C and E as in the slider ranges)
+function project([B, C, D, E]) {
+  return [Math.max(1e-3, B), Math.min(2.5, Math.max(0.5, C)), Math.max(1, D), Math.min(1, Math.max(-1, E))];
+}
+
+function jacobianRow(a, [B, C, D, E]) {
+  const x = B * a;
+  const phi = x - E * (x - Math.atan(x));
+  const theta = C * Math.atan(phi);
+  const dFdPhi = (D * Math.cos(theta) * C) / (1 + phi * phi);
+  return [
+    dFdPhi * a * (1 - E * (1 - 1 / (1 + x * x))), // ∂/∂B
+    D * Math.cos(theta) * Math.atan(phi), // ∂/∂C
+    Math.sin(theta), // ∂/∂D
+    -dFdPhi * (x - Math.atan(x)), // ∂/∂E
+  ];
+}
+
+// Data prep: α (deg), Fy (N), optional Fz (N) -> { alpha (rad), Fy }.
+// Samples with less than minLoad·Fz0 are dropped when normalising (their
+// scaled forces are mostly noise). Longer inputs are taken at a uniform
+// stride down to about maxSamples, which keeps the fit interactive.
+export function prepareFitData({ alpha, Fy, Fz }, { Fz0, minLoad = 0.2, maxSamples = MAX_FIT_SAMPLES } = {}) {
+  const a = [];
+  const f = [];
+  const stride = Math.max(1, Math.ceil(alpha.length / maxSamples));
+  for (let i = 0; i < alpha.length; i += stride) {
+    const deg = alpha[i];
+    if (!isFinite(deg) || !isFinite(Fy[i])) continue;
+    if (Fz && Fz0) {
+      if (!(Fz[i] > minLoad * Fz0)) continue;
+      f.push((Fy[i] * Fz0) / Fz[i]);
+    } else {
+      f.push(Fy[i]);
+    }
+    a.push(deg * DEG2RAD);
+  }
+  return { alpha: a, Fy: f };
+}
+
+// fit data from a sim buffer (sim.buf or a batch series), pooling the
+// slip/force traces of the given wheels
+export function bufferFitData(buf, wheels, Fz0, options = {}) {
+  const pool = (key) => wheels.flatMap((w) => buf[`${key}${w}`]);
+  return prepareFitData({ alpha: pool("slip"), Fy: pool("Fy"), Fz: pool("Fz") }, { Fz0, ...options });
+}
+
+// initial guess: D from the largest force, B·C·D from the slope near α = 0
+function initialGuess(alpha, Fy) {
+  const D = 1.05 * Fy.reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+  const C = 1.3;
+  let sxy = 0;
+  let sxx = 0;
+  alpha.forEach((a, i) => {
+    if (Math.abs(a) < 2 * DEG2RAD) {
+      sxy += a * Fy[i];
+      sxx += a * a;
+    }
+  });
+  const slope = sxx > 0 ? sxy / sxx : D / (5 * DEG2RAD);
+  return [Math.abs(slope) / (C * D), C, D, 0];
+}
+
+// slip angle (deg) of the curve's peak, searched up to 60°; Infinity when
+// the force still rises there
+function peakSlip(p) {
+  let best = 0;
+  let bestF = -Infinity;
+  for (let i = 1; i <= 600; i++) {
+    const f = magicFormula(i * 0.1 * DEG2RAD, ...p);
+    if (f > bestF) {
+      bestF = f;
+      best = i;
+    }
+  }
+  return best === 600 ? Infinity : best * 0.1;
+}
+
+// alpha (rad), Fy (N) -> { B, C, D, E, ci: { B: [lo, hi], ... }, stdErr,
+//   rmse, r2, n, alphaMaxDeg, alphaPeakDeg, peakReached, converged,
+//   stalled, iterations, residuals: [{ x: α deg, y: Fy - model }] }
+export function fitMagicFormula(alpha, Fy, { initial } = {}) {
+  const n = alpha.length;
+  if (n < 8) throw new Error("Need at least 8 α–Fy samples to fit the Magic Formula");
+
+  const p0 = initial ? MF_PARAMS.map((k) => initial[k]) : initialGuess(alpha, Fy);
+  const model = (p) => magicFormula(alpha, ...p);
+  const residuals = (p) => model(p).map((m, i) => m - Fy[i]);
+  const jacobian = (p) => alpha.map((a) => jacobianRow(a, p));
+
+  const lm = levenbergMarquardt(residuals, jacobian, p0, { project });
+  const p = lm.params;
+
+  // covariance at the optimum
+  const J = jacobian(p);
+  const JtJ = MF_PARAMS.map((_, i) => MF_PARAMS.map((__, j) => J.reduce((s, row) => s + row[i] * row[j], 0)));
+  const s2 = lm.cost / Math.max(1, n - MF_PARAMS.length);
+  const cov = invertMatrix(JtJ);
+  const stdErr = {};
+  const ci = {};
+  MF_PARAMS.forEach((k, i) => {
+    const se = cov && cov[i][i] >= 0 ? Math.sqrt(s2 * cov[i][i]) : Infinity;
+    stdErr[k] = se;
+    ci[k] = [p[i] - Z95 * se, p[i] + Z95 * se];
+  });
+
+  const meanFy = Fy.reduce((s, v) => s + v, 0) / n;
+  const ssTot = Fy.reduce((s, v) => s + (v - meanFy) ** 2, 0);
+  const r = residuals(p);
+  const alphaMaxDeg = alpha.reduce((m, a) => Math.max(m, Math.abs(a)), 0) / DEG2RAD;
+  const alphaPeakDeg = peakSlip(p);
+
+  return {
+    B: p[0],
+    C: p[1],
+    D: p[2],
+    E: p[3],
+    ci,
+    stdErr,
+    rmse: Math.sqrt(lm.cost / n),
+    r2: ssTot > 0 ? 1 - lm.cost / ssTot : 1,
+    n,
+    alphaMaxDeg,
+    alphaPeakDeg,
+    // D (and with it C, E) is only well determined when the data reach
+    // past the peak of the fitted curve
+    peakReached: alphaMaxDeg > alphaPeakDeg,
+    converged: lm.converged,
+    stalled: lm.stalled,
+    iterations: lm.iterations,
+    residuals: alpha.map((a, i) => ({ x: a / DEG2RAD, y: r[i] })),
+  };
+}
+
+// α–Fy data from CSV text: a header row naming the columns, slip angle in
+// degrees ("alpha", "slip"...), lateral force in N ("Fy"...), and optional
+// vertical load in N ("Fz"...). Comma, semicolon or tab separated.
+export function parseAlphaFyCSV(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim() && !l.startsWith("#"));
+  if (lines.length < 2) throw new Error("CSV has no data rows");
+  const sep = [",", ";", "\t"].find((c) => lines[0].includes(c)) || ",";
+  const header = lines[0].split(sep).map((h) => h.trim().toLowerCase());
+
+  const col = (re) => header.findIndex((h) => re.test(h));
+  const iA = col(/alpha|slip|α/);
+  const iFy = col(/^fy|lateral/);
+  const iFz = col(/^fz|vertical|load/);
+  if (iA < 0 || iFy < 0) throw new Error('CSV needs an "alpha" (deg) and an "Fy" (N) column');
+
+  const alpha = [];
+  const Fy = [];
+  const Fz = iFz >= 0 ? [] : null;
+  for (const line of lines.slice(1)) {
+    const v = line.split(sep).map(Number);
+    alpha.push(v[iA]);
+    Fy.push(v[iFy]);
+    if (Fz) Fz.push(v[iFz]);
+  }
+  return { alpha, Fy, Fz };
+}
@@ -0,0 +1,209 @@
+// src/numeric.js — small numeric helpers shared by the analysis modules
+
+// n log-spaced values from a to b (inclusive)
+export function logspace(a, b, n) {
+  const la = Math.log10(a);
+  const lb = Math.log10(b);
+  return Array.from({ length: n }, (_, i) => Math.pow(10, la + ((lb - la) * i) / (n - 1)));
+}
+
+export function mean(arr) {
+  let s = 0;
+  for (const v of arr) s += v;
+  return arr.length ? s / arr.length : 0;
+}
+
+// least-squares slope of ys over xs (null with fewer than 5 points)
+export function slope(xs, ys) {
+  const n = xs.length;
+  if (n < 5) return null;
+  let sx = 0,
+    sy = 0,
+    sxy = 0,
+    sxx = 0;
+  for (let i = 0; i < n; i++) {
+    sx += xs[i];
+    sy += ys[i];
+    sxy += xs[i] * ys[i];
+    sxx += xs[i] * xs[i];
+  }
+  const den = n * sxx - sx * sx;
+  return Math.abs(den) < 1e-12 ? null : (n * sxy - sx * sy) / den;
+}
+
+// linear interpolation of y(x) at xq (x ascending, clamped at the ends)
+export function interp(x, y, xq) {
+  if (!x.length) return NaN;
+  if (xq <= x[0]) return y[0];
+  if (xq >= x[x.length - 1]) return y[y.length - 1];
+  let i = 1;
+  while (x[i] < xq) i++;
+  const w = (xq - x[i - 1]) / (x[i] - x[i - 1]);
+  return y[i - 1] + w * (y[i] - y[i - 1]);
+}
+
+// remove 2π jumps from a phase series (rad)
+export function unwrap(phase) {
+  const out = phase.slice();
+  for (let i = 1; i < out.length; i++) {
+    let d = out[i] - out[i - 1];
+    while (d > Math.PI) {
+      out[i] -= 2 * Math.PI;
+      d -= 2 * Math.PI;
+    }
+    while (d < -Math.PI) {
+      out[i] += 2 * Math.PI;
+      d += 2 * Math.PI;
+    }
+  }
+  return out;
+}
+
+// Fourier integral ∫ x(t) e^{-j2πft} dt of a uniformly sampled signal
+// -> { re, im }
+export function dftAt(x, dt, f) {
+  let re = 0;
+  let im = 0;
+  const w = 2 * Math.PI * f * dt;
+  for (let i = 0; i < x.length; i++) {
+    re += x[i] * Math.cos(w * i);
+    im -= x[i] * Math.sin(w * i);
+  }
+  return { re: re * dt, im: im * dt };
+}
+
+// Solve A x = b (A: array of rows) by Gaussian elimination with partial
+// pivoting. Returns null when A is singular.
+export function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+    if (Math.abs(M[p][c]) < 1e-14) return null;
+    [M[c], M[p]] = [M[p], M[c]];
+
+    for (let r = c + 1; r < n; r++) {
+      const k = M[r][c] / M[c][c];
+      for (let j = c; j <= n; j++) M[r][j] -= k * M[c][j];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = M[r][n];
+    for (let j = r + 1; j < n; j++) s -= M[r][j] * x[j];
+    x[r] = s / M[r][r];
+  }
+  return x;
+}
+
+// Least squares: minimise |A x - b|² via the normal equations
+export function leastSquares(A, b) {
+  const n = A[0].length;
+  const AtA = Array.from({ length: n }, () => new Array(n).fill(0));
+  const Atb = new Array(n).fill(0);
+  A.forEach((row, k) => {
+    for (let i = 0; i < n; i++) {
+      Atb[i] += row[i] * b[k];
+      for (let j = 0; j < n; j++) AtA[i][j] += row[i] * row[j];
+    }
+  });
+  return solveLinear(AtA, Atb);
+}
+
+// Seeded uniform random numbers in [0, 1) (mulberry32), so noisy
+// simulations are reproducible
+export function createRng(seed = 1) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// standard normal sample from a uniform generator (Box–Muller)
+export function gaussian(rng) {
+  const u = Math.max(1e-12, rng());
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// inverse of a square matrix (array of rows) or null when singular
+export function invertMatrix(A) {
+  const n = A.length;
+  const cols = [];
+  for (let j = 0; j < n; j++) {
+    const col = solveLinear(A, A.map((_, i) => (i === j ? 1 : 0)));
+    if (!col) return null;
+    cols.push(col);
+  }
+  return A.map((_, i) => cols.map((col) => col[i]));
+}
+
+// Levenberg–Marquardt: minimise Σ r_k(p)² for residuals r = model - data.
+// residuals(p) -> [r_k]; jacobian(p) -> rows [∂r_k/∂p_j]; project(p) keeps
+// parameters in their valid range.
+// -> { params, cost, iterations, converged, stalled }: converged when the
+// relative cost drop fell below tol, stalled when no damped step lowered it
+// any more (a minimum or a flat spot, not a tolerance test).
+export function levenbergMarquardt(
+  residuals,
+  jacobian,
+  p0,
+  { maxIter = 200, lambda = 1e-3, tol = 1e-10, project = (p) => p } = {}
+) {
+  const n = p0.length;
+  const sumSq = (r) => r.reduce((s, v) => s + v * v, 0);
+  let p = project(p0.slice());
+  let r = residuals(p);
+  let cost = sumSq(r);
+  let converged = false;
+  let stalled = false;
+  let it = 0;
+
+  for (; it < maxIter; it++) {
+    const J = jacobian(p);
+    const JtJ = Array.from({ length: n }, () => new Array(n).fill(0));
+    const Jtr = new Array(n).fill(0);
+    J.forEach((row, k) => {
+      for (let i = 0; i < n; i++) {
+        Jtr[i] += row[i] * r[k];
+        for (let j = 0; j < n; j++) JtJ[i][j] += row[i] * row[j];
+      }
+    });
+
+    // damped step; raise lambda until the cost drops
+    let improved = false;
+    while (lambda < 1e12) {
+      const A = JtJ.map((row, i) => row.map((v, j) => (i === j ? v * (1 + lambda) + 1e-12 : v)));
+      const dp = solveLinear(A, Jtr.map((v) => -v));
+      if (dp) {
+        const pNew = project(p.map((v, i) => v + dp[i]));
+        const rNew = residuals(pNew);
+        const costNew = sumSq(rNew);
+        if (isFinite(costNew) && costNew < cost) {
+          const rel = (cost - costNew) / Math.max(cost, 1e-30);
+          p = pNew;
+          r = rNew;
+          cost = costNew;
+          lambda = Math.max(1e-12, lambda / 3);
+          improved = true;
+          if (rel < tol) converged = true;
+          break;
+        }
+      }
+      lambda *= 4;
+    }
+    if (!improved) {
+      stalled = true;
+      break;
+    }
+    if (converged) break;
+  }
+
+  return { params: p, cost, iterations: it, converged, stalled };
+}
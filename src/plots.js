@@ -1,5 +1,26 @@
 // src/plots.js — CLEAN, OPTIMIZED, IMPROVED VERSION
 import Chart from "chart.js/auto";
+import { runBatchInWorker } from "./batch.js";
+import { analysisFrequencies, estimateFRF, frfMetrics } from "./freqresp.js";
+import { stepResponseMetrics } from "./stepmetrics.js";
+import {
+  STEADY_STATE_TESTS,
+  handlingDiagram,
+  understeerFromConstantSpeed,
+  understeerGradient,
+} from "./handling.js";
+import { VehicleSim, WHEELS } from "./sim.js";
+import { G } from "./constants.js";
+import { heatColor, pressureColor } from "./colors.js";
+import { latencyStats, leakScenarios } from "./tpms.js";
+import { MF_PARAMS, bufferFitData, fitMagicFormula } from "./mffit.js";
+import { StreamDecimator, lttb, minMax, rawPoints } from "./decimate.js";
+import { lateralForce } from "./tires.js";
+import { ON_CENTER_WEAVE, onCenterMetrics } from "./steering.js";
+import { pathPoints } from "./driver.js";
+import { TURN_EXIT_TESTS, turnExitMetrics } from "./longitudinal.js";
+import { ROAD_SURFACES } from "./road.js";
+import { ROLL_RAMP, rollMetrics, rollPerAy, rolloverThreshold, staticStabilityFactor } from "./roll.js";
 
 export function createPlots(sim) {
   //------------------------------------------------------
@@ -22,6 +43,29 @@ export function createPlots(sim) {
   const ctxAyDelta = ctx("plot-ay-delta");
   const ctxUnder = ctx("plot-understeer");
   const ctxPressureYaw = ctx("plot-pressure-yawgain");
+  const ctxWheelFy = ctx("plot-wheel-fy");
+  const ctxBodeMag = ctx("plot-bode-mag");
+  const ctxBodePhase = ctx("plot-bode-phase");
+  const ctxFreqMetrics = ctx("plot-freq-metrics");
+  const ctxPhaseLag = ctx("plot-phase-lag");
+  const ctxStepTimes = ctx("plot-step-times");
+  const ctxStepOvershoot = ctx("plot-step-overshoot");
+  const ctxHandling = ctx("plot-handling");
+  const ctxSideslip = ctx("plot-sideslip");
+  const ctxYawGainSpeed = ctx("plot-yawgain-speed");
+  const ctxCalphaPFz = ctx("plot-calpha-pfz");
+  const ctxCalphaPT = ctx("plot-calpha-pt");
+  const ctxTireEvents = ctx("plot-tire-events");
+  const ctxTPMSLatency = ctx("plot-tpms-latency");
+  const ctxMFResiduals = ctx("plot-mf-residuals");
+  const ctxMFPressure = ctx("plot-mf-pressure");
+  const ctxOnCenter = ctx("plot-on-center");
+  const ctxDriverPath = ctx("plot-driver-path");
+  const ctxDriverWorkload = ctx("plot-driver-workload");
+  const ctxTurnExit = ctx("plot-turn-exit");
+  const ctxSurfaceGrip = ctx("plot-surface-grip");
+  const ctxRollAy = ctx("plot-roll-ay");
+  const ctxRollover = ctx("plot-rollover");
 
   //------------------------------------------------------
   // 2. Create charts
@@ -32,7 +76,7 @@ export function createPlots(sim) {
     data: {
       datasets: [
         {
-          label: "Measured α vs Fy",
+          label: "Measured α vs Fy (FL tire)",
           data: [],
           pointRadius: 2,
           borderWidth: 0,
@@ -68,10 +112,10 @@ export function createPlots(sim) {
     },
   });
 
+  // time charts: x is sample time on a linear axis (decimated, see update)
   const chartTime = new Chart(ctxTime, {
     type: "line",
     data: {
-      labels: [],
       datasets: [
         { label: "Steer δ", data: [], tension: 0.2 },
         { label: "Yaw r", data: [], tension: 0.2 },
@@ -80,14 +124,68 @@ export function createPlots(sim) {
     },
     options: {
       animation: false,
-      scales: { x: { title: { display: true, text: "Time (s)" } } },
+      normalized: true,
+      scales: { x: { type: "linear", title: { display: true, text: "Time (s)" } } },
+    },
+  });
+
+  const chartWheelFy = new Chart(ctxWheelFy, {
+    type: "line",
+    data: {
+      datasets: [
+        { label: "Fy FL", data: [], pointRadius: 0 },
+        { label: "Fy FR", data: [], pointRadius: 0 },
+        { label: "Fy RL", data: [], pointRadius: 0, borderDash: [4, 2] },
+        { label: "Fy RR", data: [], pointRadius: 0, borderDash: [4, 2] },
+      ],
+    },
+    options: {
+      animation: false,
+      normalized: true,
+      scales: {
+        x: { type: "linear", title: { display: true, text: "Time (s)" } },
+        y: { title: { display: true, text: "Per-wheel Fy (N)" } },
+      },
+    },
+  });
+
+  // tire events (src/tireevents.js): yaw disturbance and the corrective
+  // steering applied since the first event
+  const chartTireEvents = new Chart(ctxTireEvents, {
+    type: "line",
+    data: {
+      datasets: [
+        { label: "Yaw disturbance (deg/s)", data: [], pointRadius: 0 },
+        { label: "Corrective steer (deg)", data: [], pointRadius: 0, yAxisID: "y1" },
+      ],
+    },
+    options: {
+      animation: false,
+      scales: {
+        x: { type: "linear", title: { display: true, text: "Time (s)" } },
+        y: { title: { display: true, text: "Δr (deg/s)" } },
+        y1: { position: "right", grid: { drawOnChartArea: false }, title: { display: true, text: "δ corr (deg)" } },
+      },
     },
   });
 
+  // aligning torque of the FL tire (src/steering.js): recorded samples and
+  // the model curve at the tire's current pressure and static load
   const chartMzAlpha = new Chart(ctxMzAlpha, {
     type: "scatter",
-    data: { datasets: [{ label: "Mz vs α", data: [] }] },
-    options: { animation: false },
+    data: {
+      datasets: [
+        { label: "Mz vs α", data: [] },
+        { label: "Model Mz FL (static load)", data: [], type: "line", pointRadius: 0, borderDash: [6, 3] },
+      ],
+    },
+    options: {
+      animation: false,
+      scales: {
+        x: { title: { display: true, text: "Slip angle α (deg)" } },
+        y: { title: { display: true, text: "Aligning torque Mz (N·m)" } },
+      },
+    },
   });
 
   const chartAyDelta = new Chart(ctxAyDelta, {
@@ -98,7 +196,7 @@ export function createPlots(sim) {
 
   const chartPressureCalpha = new Chart(ctxPressureCalpha, {
     type: "line",
-    data: { labels: [], datasets: [{ label: "Estimated Cα", data: [] }] },
+    data: { labels: [], datasets: [{ label: "Estimated Cα (FL tire)", data: [] }] },
     options: { animation: false },
   });
 
@@ -108,12 +206,359 @@ export function createPlots(sim) {
     options: { animation: false },
   });
 
+  // understeer gradient: analytic (solid) vs constant-speed runs (dashed),
+  // varying all four / front only / rear only; speeds on the right axis
+  const UNDERSTEER_CASES = [
+    { key: "all", label: "all four", color: "#1f77b4" },
+    { key: "front", label: "front only", color: "#d62728" },
+    { key: "rear", label: "rear only", color: "#2ca02c" },
+  ];
+
   const chartUndersteer = new Chart(ctxUnder, {
     type: "line",
-    data: { labels: [], datasets: [{ label: "Ku", data: [] }] },
-    options: { animation: false },
+    data: {
+      labels: [],
+      datasets: [
+        ...UNDERSTEER_CASES.map((c) => ({ label: `Ku analytic (${c.label})`, data: [], borderColor: c.color })),
+        ...UNDERSTEER_CASES.map((c) => ({
+          label: `Ku simulated (${c.label})`,
+          data: [],
+          borderColor: c.color,
+          borderDash: [6, 3],
+        })),
+        ...UNDERSTEER_CASES.map((c) => ({
+          label: `v char ● / crit ▲ (${c.label}) km/h`,
+          data: [],
+          borderColor: c.color,
+          borderWidth: 1,
+          showLine: false,
+          yAxisID: "y1",
+        })),
+      ],
+    },
+    options: {
+      animation: false,
+      scales: {
+        x: { title: { display: true, text: "Pressure (psi)" } },
+        y: { title: { display: true, text: "Ku (deg/g)" } },
+        y1: { position: "right", grid: { drawOnChartArea: false }, title: { display: true, text: "Speed (km/h)" } },
+      },
+    },
+  });
+
+  // frequency response (one dataset per pressure, filled by runFrequencyResponse)
+  const chartBodeMag = new Chart(ctxBodeMag, {
+    type: "line",
+    data: { datasets: [] },
+    options: {
+      animation: false,
+      scales: {
+        x: { type: "logarithmic", title: { display: true, text: "Frequency (Hz)" } },
+        y: { title: { display: true, text: "|r/δ| ((deg/s)/deg)" } },
+        y1: {
+          position: "right",
+          grid: { drawOnChartArea: false },
+          title: { display: true, text: "|ay/δ| ((m/s²)/deg), dashed" },
+        },
+      },
+    },
+  });
+
+  const chartBodePhase = new Chart(ctxBodePhase, {
+    type: "line",
+    data: { datasets: [] },
+    options: {
+      animation: false,
+      scales: {
+        x: { type: "logarithmic", title: { display: true, text: "Frequency (Hz)" } },
+        y: { title: { display: true, text: "Phase (deg), ay/δ dashed" } },
+      },
+    },
+  });
+
+  const chartFreqMetrics = new Chart(ctxFreqMetrics, {
+    type: "line",
+    data: {
+      labels: [],
+      datasets: [
+        { label: "Yaw natural freq fn (Hz)", data: [] },
+        { label: "Yaw bandwidth −3 dB (Hz)", data: [] },
+        { label: "Damping ratio ζ", data: [], yAxisID: "y1", borderDash: [6, 3] },
+      ],
+    },
+    options: {
+      animation: false,
+      scales: {
+        x: { title: { display: true, text: "Pressure (psi)" } },
+        y: { title: { display: true, text: "Hz" } },
+        y1: { position: "right", grid: { drawOnChartArea: false }, title: { display: true, text: "ζ" } },
+      },
+    },
+  });
+
+  const chartPhaseLag = new Chart(ctxPhaseLag, {
+    type: "line",
+    data: {
+      labels: [],
+      datasets: [
+        { label: "r/δ phase lag @ 1 Hz (deg)", data: [] },
+        { label: "ay/δ phase lag @ 1 Hz (deg)", data: [] },
+      ],
+    },
+    options: {
+      animation: false,
+      scales: { x: { title: { display: true, text: "Pressure (psi)" } } },
+    },
+  });
+
+  // step-response metrics vs pressure (filled by runStepResponseSweep)
+  const chartStepTimes = new Chart(ctxStepTimes, {
+    type: "line",
+    data: {
+      labels: [],
+      datasets: [
+        { label: "Yaw rise time 10–90 % (s)", data: [] },
+        { label: "Yaw response time 90 % (s)", data: [] },
+        { label: "Yaw peak response time (s)", data: [] },
+        { label: "Yaw settling time ±5 % (s)", data: [] },
+        { label: "ay lag behind r (s)", data: [], borderDash: [6, 3] },
+      ],
+    },
+    options: {
+      animation: false,
+      scales: {
+        x: { title: { display: true, text: "Pressure (psi)" } },
+        y: { title: { display: true, text: "Time (s)" } },
+      },
+    },
+  });
+
+  const chartStepOvershoot = new Chart(ctxStepOvershoot, {
+    type: "line",
+    data: { labels: [], datasets: [{ label: "Yaw-rate overshoot (%)", data: [] }] },
+    options: {
+      animation: false,
+      scales: { x: { title: { display: true, text: "Pressure (psi)" } } },
+    },
+  });
+
+  // steady-state handling diagrams (filled by runSteadyStateTests);
+  // constant radius solid, constant steer dashed, one colour per pressure
+  const steadyChart = (c, xText, yText) =>
+    new Chart(c, {
+      type: "line",
+      data: { datasets: [] },
+      options: {
+        animation: false,
+        scales: {
+          x: { type: "linear", title: { display: true, text: xText } },
+          y: { title: { display: true, text: yText } },
+        },
+      },
+    });
+
+  const chartHandling = steadyChart(ctxHandling, "Lateral acceleration ay (m/s²)", "δ − L/R (deg)");
+  const chartSideslip = steadyChart(ctxSideslip, "Lateral acceleration ay (m/s²)", "Sideslip β (deg)");
+  const chartYawGainSpeed = steadyChart(ctxYawGainSpeed, "Speed (km/h)", "Yaw gain r/δ ((deg/s)/deg)");
+
+  // TPMS detection latency per leak scenario (filled by runTPMSScenarios)
+  const chartTPMSLatency = new Chart(ctxTPMSLatency, {
+    type: "bar",
+    data: {
+      labels: [],
+      datasets: [
+        { label: "Direct TPMS latency (s)", data: [], backgroundColor: "#1f77b4" },
+        { label: "Indirect TPMS latency (s)", data: [], backgroundColor: "#ff7f0e" },
+      ],
+    },
+    options: {
+      animation: false,
+      scales: { y: { title: { display: true, text: "Time from leak onset to warning (s)" } } },
+    },
+  });
+
+  // Magic Formula fit (src/mffit.js): residuals of the last fit and the
+  // fitted parameters across a pressure sweep
+  const chartMFResiduals = new Chart(ctxMFResiduals, {
+    type: "scatter",
+    data: { datasets: [{ label: "MF fit residual (fit − data)", data: [], pointRadius: 2, borderWidth: 0 }] },
+    options: {
+      animation: false,
+      scales: {
+        x: { title: { display: true, text: "Slip angle α (deg)" } },
+        y: { title: { display: true, text: "Residual Fy (N)" } },
+      },
+    },
+  });
+
+  const chartMFPressure = new Chart(ctxMFPressure, {
+    type: "line",
+    data: {
+      labels: [],
+      datasets: [
+        { label: "B", data: [] },
+        { label: "C", data: [] },
+        { label: "E", data: [] },
+        { label: "D (N)", data: [], borderDash: [6, 3], yAxisID: "y1" },
+      ],
+    },
+    options: {
+      animation: false,
+      scales: {
+        x: { title: { display: true, text: "Pressure (psi)" } },
+        y: { title: { display: true, text: "B, C, E" } },
+        y1: { position: "right", title: { display: true, text: "D (N)" }, grid: { drawOnChartArea: false } },
+      },
+    },
+  });
+
+  // on-center handling: steering-wheel torque vs angle, live and the weave
+  // loops of the on-center sweep per pressure
+  const chartOnCenter = new Chart(ctxOnCenter, {
+    type: "scatter",
+    data: { datasets: [{ label: "SW torque vs angle", data: [], pointRadius: 1 }] },
+    options: {
+      animation: false,
+      scales: {
+        x: { title: { display: true, text: "Steering-wheel angle (deg)" } },
+        y: { title: { display: true, text: "Steering-wheel torque (N·m)" } },
+      },
+    },
+  });
+
+  // driver model (src/driver.js): driven paths per pressure against the
+  // target, and workload metrics vs pressure
+  const chartDriverPath = new Chart(ctxDriverPath, {
+    type: "scatter",
+    data: { datasets: [] },
+    options: {
+      animation: false,
+      scales: {
+        x: { title: { display: true, text: "X (m)" } },
+        y: { title: { display: true, text: "Y (m)" } },
+      },
+    },
+  });
+
+  const chartDriverWorkload = new Chart(ctxDriverWorkload, {
+    type: "line",
+    data: {
+      labels: [],
+      datasets: [
+        { label: "RMS path deviation (m)", data: [] },
+        { label: "RMS steering rate (deg/s)", data: [], yAxisID: "y1" },
+        { label: "Reversal rate (1/min)", data: [], borderDash: [6, 3], yAxisID: "y1" },
+      ],
+    },
+    options: {
+      animation: false,
+      scales: {
+        x: { title: { display: true, text: "Pressure (psi)" } },
+        y: { title: { display: true, text: "Deviation (m)" } },
+        y1: { position: "right", grid: { drawOnChartArea: false }, title: { display: true, text: "deg/s, 1/min" } },
+      },
+    },
   });
 
+  // turn-exit tests (brake in turn, lift-off): yaw rate over the yaw rate
+  // that keeps the path radius, from the moment of the event
+  const chartTurnExit = new Chart(ctxTurnExit, {
+    type: "scatter",
+    data: { datasets: [] },
+    options: {
+      animation: false,
+      scales: {
+        x: { title: { display: true, text: "Time after event (s)" } },
+        y: { title: { display: true, text: "r / r_ref (–)" } },
+      },
+    },
+  });
+
+  // road surfaces: peak lateral acceleration of a ramp steer vs pressure,
+  // relative to the reference pressure, one line per surface
+  const chartSurfaceGrip = new Chart(ctxSurfaceGrip, {
+    type: "line",
+    data: { labels: [], datasets: [] },
+    options: {
+      animation: false,
+      scales: {
+        x: { title: { display: true, text: "Pressure (psi)" } },
+        y: { title: { display: true, text: "Peak ay / peak ay @ P0 (%)" } },
+      },
+    },
+  });
+
+  // body roll (src/roll.js): roll vs ay of a quasi-static ramp per
+  // pressure, and static / roll-compliant stability factor vs pressure
+  const chartRollAy = new Chart(ctxRollAy, {
+    type: "scatter",
+    data: { datasets: [] },
+    options: {
+      animation: false,
+      scales: {
+        x: { title: { display: true, text: "Lateral acceleration ay (g)" } },
+        y: { title: { display: true, text: "Roll angle (deg)" } },
+      },
+    },
+  });
+
+  const chartRollover = new Chart(ctxRollover, {
+    type: "line",
+    data: {
+      labels: [],
+      datasets: [
+        { label: "SSF T/2h (rigid)", data: [], borderDash: [6, 3] },
+        { label: "Rollover threshold with roll (g)", data: [] },
+        { label: "Inner wheel lift in ramp (g)", data: [], showLine: false, pointRadius: 4 },
+      ],
+    },
+    options: {
+      animation: false,
+      scales: {
+        x: { title: { display: true, text: "Pressure (psi)" } },
+        y: { title: { display: true, text: "ay / g" } },
+      },
+    },
+  });
+
+  // Cα heatmaps of the front tire: one square point per grid cell plus the
+  // current operating point of each wheel
+  const HEAT_N = 24;
+  function heatmapChart(context, xLabel, yLabel) {
+    return new Chart(context, {
+      type: "scatter",
+      data: {
+        datasets: [
+          {
+            label: "Cα front tire",
+            data: [],
+            pointStyle: "rect",
+            pointRadius: (c) => (c.chart.chartArea ? c.chart.chartArea.width / (2 * HEAT_N) + 0.5 : 4),
+            borderWidth: 0,
+          },
+          {
+            label: "Wheels now",
+            data: [],
+            pointStyle: "crossRot",
+            pointRadius: 7,
+            borderWidth: 2,
+            borderColor: "#fff",
+          },
+        ],
+      },
+      options: {
+        animation: false,
+        scales: {
+          x: { title: { display: true, text: xLabel } },
+          y: { title: { display: true, text: yLabel } },
+        },
+      },
+    });
+  }
+
+  const chartCalphaPFz = heatmapChart(ctxCalphaPFz, "Pressure (psi)", "Vertical load Fz (N)");
+  const chartCalphaPT = heatmapChart(ctxCalphaPT, "Pressure (psi)", "Tire temperature (°C)");
+
   //------------------------------------------------------
   // 3. Magic Formula overlay
   //------------------------------------------------------
@@ -156,11 +601,34 @@ export function createPlots(sim) {
     alphaFy: chartAlphaFy,
     deltaYaw: chartDeltaYaw,
     time: chartTime,
+    wheelFy: chartWheelFy,
     pressureCalpha: chartPressureCalpha,
     mzAlpha: chartMzAlpha,
     ayDelta: chartAyDelta,
     pressureYaw: chartPressureYaw,
     understeer: chartUndersteer,
+    bodeMag: chartBodeMag,
+    bodePhase: chartBodePhase,
+    freqMetrics: chartFreqMetrics,
+    phaseLag: chartPhaseLag,
+    stepTimes: chartStepTimes,
+    stepOvershoot: chartStepOvershoot,
+    handling: chartHandling,
+    sideslip: chartSideslip,
+    yawGainSpeed: chartYawGainSpeed,
+    calphaPFz: chartCalphaPFz,
+    calphaPT: chartCalphaPT,
+    tireEvents: chartTireEvents,
+    tpmsLatency: chartTPMSLatency,
+    mfResiduals: chartMFResiduals,
+    mfPressure: chartMFPressure,
+    onCenter: chartOnCenter,
+    driverPath: chartDriverPath,
+    driverWorkload: chartDriverWorkload,
+    turnExit: chartTurnExit,
+    surfaceGrip: chartSurfaceGrip,
+    rollAy: chartRollAy,
+    rollover: chartRollover,
   };
 
   function highlightCharts(targetNames = [], annotation = null) {
@@ -202,8 +670,9 @@ export function createPlots(sim) {
   }
 
   function removeLinearRegionAnnotation() {
-    if (chartAlphaFy.data.datasets[2]) {
-      chartAlphaFy.data.datasets.splice(2, 1);
+    const i = chartAlphaFy.data.datasets.findIndex((d) => d.label === "Linear Region");
+    if (i >= 0) {
+      chartAlphaFy.data.datasets.splice(i, 1);
       chartAlphaFy.update();
     }
   }
@@ -216,151 +685,928 @@ export function createPlots(sim) {
   //------------------------------------------------------
   // 5. Main update from sim
   //------------------------------------------------------
-  function update() {
-    const buf = sim.buf;
+  // Live charts read sim.history (src/ringbuffer.js) directly. Time charts
+  // show the last `window` seconds (0 = the whole run) reduced to about
+  // `maxPoints` points with the chosen decimation; for the whole run,
+  // min/max buckets are kept up to date incrementally (src/decimate.js), so
+  // hours of data cost no more per frame than a few seconds. Scatter charts
+  // show the last `scatterPoints` samples.
+  const liveView = { window: 20, decimation: "minmax", maxPoints: 1000, scatterPoints: 2000 };
+  const LTTB_REFRESH = 1000; // ms between whole-run LTTB passes
 
-    chartAlphaFy.data.datasets[0].data = buf.slipFL.map((a, i) => ({
-      x: a,
-      y: buf.FyFL[i],
-    }));
-    chartAlphaFy.update("none");
+  // y of one spec against time when x is "time", else an x–y scatter
+  const LIVE_SERIES = [
+    { chart: chartAlphaFy, name: "α vs Fy FL", x: "slipFL", y: "FyFL", pointRadius: 2 },
+    { chart: chartDeltaYaw, name: "δ vs r", x: "delta", y: "yaw" },
+    { chart: chartTime, name: "Steer δ", x: "time", y: "delta", tension: 0.2 },
+    { chart: chartTime, name: "Yaw r", x: "time", y: "yaw", tension: 0.2 },
+    { chart: chartTime, name: "ay", x: "time", y: "ay", tension: 0.2, borderDash: [4, 2] },
+    ...WHEELS.map((w) => ({
+      chart: chartWheelFy,
+      name: `Fy ${w}`,
+      x: "time",
+      y: `Fy${w}`,
+      pointRadius: 0,
+      borderDash: w[0] === "R" ? [4, 2] : undefined,
+    })),
+    { chart: chartMzAlpha, name: "Mz vs α", x: "slipFL", y: "MzFL" },
+    { chart: chartOnCenter, name: "SW torque vs angle", x: "swAngle", y: "swTorque", pointRadius: 1 },
+    { chart: chartAyDelta, name: "ay vs δ", x: "delta", y: "ay" },
+  ];
+  const LIVE_CHARTS = [...new Set(LIVE_SERIES.map((s) => s.chart))];
+  // comparison mode: series repeated for every companion vehicle, appended
+  // to each chart's own datasets in the vehicle's colour
+  const COMPARE_SERIES = LIVE_SERIES.filter((s) => s.name !== "Steer δ");
 
-    chartDeltaYaw.data.datasets[0].data = buf.delta.map((d, i) => ({
-      x: d,
-      y: buf.yaw[i],
-    }));
-    chartDeltaYaw.update("none");
+  // per-history decimation state (whole-run mode)
+  const streams = new WeakMap();
+  function streamState(h) {
+    let st = streams.get(h);
+    if (!st || st.generation !== h.generation) {
+      st = { generation: h.generation, minmax: new Map(), lttb: new Map() };
+      streams.set(h, st);
+    }
+    return st;
+  }
 
-    chartTime.data.labels = buf.time.map((t) => t.toFixed(2));
-    chartTime.data.datasets[0].data = buf.delta;
-    chartTime.data.datasets[1].data = buf.yaw;
-    chartTime.data.datasets[2].data = buf.ay;
-    chartTime.update("none");
+  // points [i0, i0 + n) of (gx, gy) reduced per liveView
+  function reduce(gx, gy, n) {
+    const { decimation, maxPoints } = liveView;
+    if (decimation === "lttb") return lttb(gx, gy, n, maxPoints);
+    if (decimation === "minmax") return minMax(gx, gy, n, Math.ceil(maxPoints / 2));
+    return rawPoints(gx, gy, n);
+  }
 
-    chartMzAlpha.data.datasets[0].data = buf.slipFL.map((a, i) => ({
-      x: a,
-      y: buf.MzFL[i],
-    }));
-    chartMzAlpha.update("none");
+  function timePoints(h, key) {
+    const at = (k, i0) => (i) => h.at(k, i0 + i);
+    if (liveView.window > 0 || liveView.decimation === "none") {
+      const i0 = liveView.window > 0 ? h.lowerBound("time", h.last("time") - liveView.window) : 0;
+      return reduce(at("time", i0), at(key, i0), h.length - i0);
+    }
+
+    const st = streamState(h);
+    if (liveView.decimation === "lttb") {
+      const c = st.lttb.get(key);
+      const now = performance.now();
+      if (c && now - c.at < LTTB_REFRESH) return c.points;
+      const points = reduce(at("time", 0), at(key, 0), h.length);
+      st.lttb.set(key, { points, at: now });
+      return points;
+    }
+
+    let c = st.minmax.get(key);
+    if (!c || c.maxPoints !== liveView.maxPoints) {
+      c = { dec: new StreamDecimator(Math.ceil(liveView.maxPoints / 2)), fed: h.start, maxPoints: liveView.maxPoints };
+      st.minmax.set(key, c);
+    }
+    for (let abs = Math.max(c.fed, h.start); abs < h.total; abs++) {
+      const i = abs - h.start;
+      c.dec.append(h.at("time", i), h.at(key, i));
+    }
+    c.fed = h.total;
+    return c.dec.points;
+  }
+
+  function seriesPoints(h, { x, y }) {
+    if (!h.data[x] || !h.data[y]) return []; // e.g. missing in an imported run
+    if (x === "time") return timePoints(h, y);
+    const i0 = Math.max(0, h.length - liveView.scatterPoints);
+    return rawPoints((i) => h.at(x, i0 + i), (i) => h.at(y, i0 + i), h.length - i0);
+  }
+
+  // measured channels of a replayed log (src/logreplay.js), drawn in grey
+  // over the live charts for the time span the charts show
+  const MEASURED_SERIES = [
+    { chart: chartTime, name: "Yaw r measured", y: "yaw", tension: 0.2 },
+    { chart: chartTime, name: "ay measured", y: "ay", tension: 0.2, borderDash: [4, 2] },
+    { chart: chartDeltaYaw, name: "δ vs r measured", x: "steer", y: "yaw", pointRadius: 2 },
+    { chart: chartAyDelta, name: "ay vs δ measured", x: "steer", y: "ay", pointRadius: 2 },
+  ];
+
+  function updateMeasured(log) {
+    LIVE_CHARTS.forEach((c) => (c.data.datasets = c.data.datasets.filter((d) => !d.measured)));
+    const h = sim.history;
+    if (!log || !h.length) return;
+
+    const index = (t) => Math.max(0, Math.min(log.time.length - 1, Math.round(t / log.dt)));
+    const tEnd = h.last("time");
+    const i1 = index(tEnd);
+    const iTime = liveView.window > 0 ? index(tEnd - liveView.window) : 0;
+    const iScatter = index(h.at("time", Math.max(0, h.length - liveView.scatterPoints)));
+    for (const { chart, name, x, y, ...style } of MEASURED_SERIES) {
+      if (!log[y]) continue;
+      const i0 = x ? iScatter : iTime;
+      const gx = (i) => (x ? log[x] : log.time)[i0 + i];
+      const gy = (i) => log[y][i0 + i];
+      chart.data.datasets.push({
+        ...style,
+        measured: true,
+        label: name,
+        data: x ? rawPoints(gx, gy, i1 - i0 + 1) : reduce(gx, gy, i1 - i0 + 1),
+        borderColor: "rgba(60, 60, 60, 0.8)",
+        backgroundColor: "rgba(60, 60, 60, 0.8)",
+      });
+    }
+  }
+
+  function updateCompanions(companions) {
+    LIVE_CHARTS.forEach((c) => (c.data.datasets = c.data.datasets.filter((d) => !d.companion)));
+    for (const v of companions) {
+      for (const { chart, name, x, y, ...style } of COMPARE_SERIES) {
+        chart.data.datasets.push({
+          ...style,
+          companion: true,
+          label: `${name} (${v.label})`,
+          data: seriesPoints(v.sim.history, { x, y }),
+          borderColor: v.color,
+          backgroundColor: v.color,
+        });
+      }
+    }
+  }
+
+  // plain arrays { key: [...] } -> [{ x, y }]
+  const xy = (buf, xKey, yKey) => buf[xKey].map((x, i) => ({ x, y: buf[yKey][i] }));
+
+  // fill a heatmap with Cα(x, y) on a HEAT_N × HEAT_N grid
+  function fillHeatmap(chart, xRange, yRange, CalphaAt) {
+    const cells = [];
+    for (let i = 0; i < HEAT_N; i++) {
+      for (let j = 0; j < HEAT_N; j++) {
+        const x = xRange[0] + ((xRange[1] - xRange[0]) * (i + 0.5)) / HEAT_N;
+        const y = yRange[0] + ((yRange[1] - yRange[0]) * (j + 0.5)) / HEAT_N;
+        cells.push({ x, y, v: CalphaAt(x, y) });
+      }
+    }
+    const vs = cells.map((c) => c.v);
+    const lo = Math.min(...vs);
+    const hi = Math.max(...vs);
+
+    const ds = chart.data.datasets[0];
+    ds.data = cells;
+    ds.backgroundColor = cells.map((c) => heatColor((c.v - lo) / (hi - lo || 1)));
+    ds.label = `Cα front tire: ${Math.round(lo)} (blue) … ${Math.round(hi)} (red) N/rad`;
+    chart.options.scales.x.min = xRange[0];
+    chart.options.scales.x.max = xRange[1];
+    chart.options.scales.y.min = yRange[0];
+    chart.options.scales.y.max = yRange[1];
+  }
+
+  // redraw the Cα maps when the stiffness model or tire changes; the
+  // wheel markers follow every frame
+  let heatmapKey = "";
+  function updateStiffnessMaps() {
+    const Fz0 = sim.tire.front.Fz0;
+    const Pmax = Math.max(44, 1.6 * sim.P0);
+    const Tamb = sim.ambientTemp;
+
+    const key = JSON.stringify([
+      sim.stiffnessModel,
+      sim.stiffness,
+      sim.tireModel,
+      sim.tire.front,
+      sim.P0,
+      sim.Calpha0,
+      sim.pressureExponent,
+      Tamb,
+    ]);
+    if (key !== heatmapKey) {
+      heatmapKey = key;
+      fillHeatmap(chartCalphaPFz, [14, Pmax], [0, 2.5 * Fz0], (P, Fz) =>
+        sim.tireCorneringStiffness("front", P, Fz, Tamb)
+      );
+      fillHeatmap(chartCalphaPT, [14, Pmax], [Tamb - 10, Tamb + 100], (P, T) =>
+        sim.tireCorneringStiffness("front", P, Fz0, T)
+      );
+    }
 
-    chartAyDelta.data.datasets[0].data = buf.delta.map((d, i) => ({
-      x: d,
-      y: buf.ay[i],
+    const h = sim.history;
+    const wheels = h.length ? WHEELS : [];
+    chartCalphaPFz.data.datasets[1].data = wheels.map((w) => ({
+      x: h.last(`pressure${w}`),
+      y: h.last(`Fz${w}`),
     }));
-    chartAyDelta.update("none");
+    chartCalphaPT.data.datasets[1].data = wheels.map((w) => ({
+      x: h.last(`pressure${w}`),
+      y: h.last(`temp${w}`),
+    }));
+    chartCalphaPFz.update("none");
+    chartCalphaPT.update("none");
+  }
+
+  // model Mz(α) of the FL tire, redrawn when its inputs change
+  let mzModelKey = "";
+  function updateMzModel() {
+    const P = sim.effectivePressure("FL");
+    const Fz = sim.staticWheelLoad("front");
+    const key = JSON.stringify([P, sim.tireModel, sim.tire.front, sim.steering, sim.stiffnessModel, sim.stiffness]);
+    if (key === mzModelKey) return;
+    mzModelKey = key;
+
+    const tire = sim.tireParamsAt("front", P, Fz, sim.tireTemp.FL);
+    chartMzAlpha.data.datasets[1].data = Array.from({ length: 121 }, (_, i) => {
+      const a = -15 + i * 0.25;
+      const rad = (a * Math.PI) / 180;
+      return { x: a, y: sim.aligningMoment("FL", rad, lateralForce(sim.tireModel, rad, tire), Fz).Mz };
+    });
+    chartMzAlpha.data.datasets[1].label = `Model Mz FL (static load, ${P.toFixed(1)} psi)`;
+  }
+
+  // log: TireEventScheduler.log, a RingBuffer of { time, yawDisturbance,
+  // steerCorrection }; the axis title says so once its oldest samples are gone
+  let tireEventLog = null;
+  let tireEventSamples = -1;
+  function updateTireEvents(log) {
+    if (log === tireEventLog && log.total === tireEventSamples) return;
+    tireEventLog = log;
+    tireEventSamples = log.total;
+    const series = (key) => reduce((i) => log.at("time", i), (i) => log.at(key, i), log.length);
+    chartTireEvents.data.datasets[0].data = series("yawDisturbance");
+    chartTireEvents.data.datasets[1].data = series("steerCorrection");
+    chartTireEvents.options.scales.x.title.text =
+      log.start > 0 ? `Time (s) — last ${log.length} samples, older ones dropped` : "Time (s)";
+    chartTireEvents.update("none");
+  }
+
+  // companions: comparison vehicles [{ sim, label, color }] (src/compare.js)
+  // or reference runs ({ sim: { history } }); measured: a replayed log or null
+  function update(companions = [], measured = null) {
+    updateMzModel();
+    const own = new Map(LIVE_CHARTS.map((c) => [c, 0]));
+    for (const spec of LIVE_SERIES) {
+      const i = own.get(spec.chart);
+      own.set(spec.chart, i + 1);
+      spec.chart.data.datasets[i].data = seriesPoints(sim.history, spec);
+    }
+
+    updateCompanions(companions);
+    updateMeasured(measured);
+    LIVE_CHARTS.forEach((c) => c.update("none"));
+    updateStiffnessMaps();
 
     // pressure-based charts handled by pressure sweep module
   }
 
+  // residual scatter and parameter table (value, 95 % interval) of one fit
+  function showMFFit(fit) {
+    chartMFResiduals.data.datasets[0].data = fit.residuals;
+    chartMFResiduals.update();
+
+    renderTable(
+      "mf-fit-table",
+      MF_PARAMS.map((k) => ({ param: k, value: fit[k], lo: fit.ci[k][0], hi: fit.ci[k][1], se: fit.stdErr[k] })),
+      [
+        ["param", "Parameter"],
+        ["value", "Fit", 3],
+        ["lo", "95 % low", 3],
+        ["hi", "95 % high", 3],
+        ["se", "Std. error", 3],
+      ]
+    );
+
+    const summary = document.getElementById("mf-fit-summary");
+    if (summary) {
+      const warn = fit.peakReached
+        ? ""
+        : ` — data end at ${fit.alphaMaxDeg.toFixed(1)}°, before the fitted peak; D, C and E are poorly determined`;
+      summary.textContent =
+        `${fit.n} samples, RMSE ${fit.rmse.toFixed(1)} N, R² ${fit.r2.toFixed(4)}` +
+        `${fit.converged ? "" : fit.stalled ? " (stalled: no step improved the fit)" : " (not converged)"}${warn}`;
+    }
+  }
+
+  // replay error metrics (src/logreplay.js replayMetrics) per channel
+  function showReplayMetrics(metrics) {
+    const rows = [
+      ["Yaw rate (deg/s)", metrics.yaw],
+      ["ay (m/s²)", metrics.ay],
+    ]
+      .filter(([, m]) => m)
+      .map(([channel, m]) => ({ channel, ...m }));
+    renderTable("replay-table", rows, [
+      ["channel", "Measured vs simulated"],
+      ["rmse", "RMSE", 3],
+      ["correlation", "Correlation", 3],
+      ["lag", "Lag (s)", 2],
+      ["n", "Samples", 0],
+    ]);
+  }
+
   //------------------------------------------------------
   // 6. Export public API
   //------------------------------------------------------
   return {
+    liveView,
     update,
+    updateTireEvents,
     updateMFOverlay,
+    showMFFit,
+    showReplayMetrics,
     setMagicFormulaFn,
     highlightCharts,
     clearHighlights,
-    runPressureSweep: async function () {
+    // Runs on cloned sims in a Web Worker; the live sim is left untouched.
+    runPressureSweep: async function (onProgress) {
       const pressures = [];
       for (let p = 20; p <= 40; p += 2) pressures.push(p);
 
-      const results = [];
-
       // Temporary steering amplitude for excitation
       const SWEEP_STEER = 3; // degrees
       const SETTLE_TIME = 1.5; // seconds
       const SAMPLE_TIME = 1.0; // seconds
 
-      for (let P of pressures) {
-        // set pressures
-        sim.pressureFL = sim.pressureFR = sim.pressureRL = sim.pressureRR = P;
+      const runs = await runBatchInWorker(
+        {
+          config: sim.getConfig(),
+          maneuver: {
+            type: "step",
+            params: {
+              amplitude: SWEEP_STEER,
+              tStart: 0,
+              riseTime: 0.01,
+              hold: SETTLE_TIME + SAMPLE_TIME,
+            },
+            summary: { window: SAMPLE_TIME },
+          },
+          grid: { pressure: pressures },
+          keepSeries: false,
+        },
+        (done, total) => onProgress?.(done, total * (UNDERSTEER_CASES.length + 1))
+      );
 
-        // reset sim
-        sim.resetBuffers();
+      // ---- UNDERSTEER: constant-speed ramp steer, all / front / rear ----
+      // the pressures not being swept stay at the reference pressure P0
+      const base = sim.getConfig();
+      base.pressures = { FL: sim.P0, FR: sim.P0, RL: sim.P0, RR: sim.P0 };
+      const axes = { all: "pressure", front: "pressureFront", rear: "pressureRear" };
+      const L = sim.lf + sim.lr;
+      const understeer = {};
+      for (const [i, c] of UNDERSTEER_CASES.entries()) {
+        const rampRuns = await runBatchInWorker(
+          {
+            config: base,
+            maneuver: { type: "ramp", params: { amplitude: 4, rate: 2 } },
+            grid: { [axes[c.key]]: pressures },
+            keepSeries: true,
+          },
+          (done, total) => onProgress?.(total * (i + 1) + done, total * (UNDERSTEER_CASES.length + 1))
+        );
+        understeer[c.key] = rampRuns.map(({ config, series }) => ({
+          analytic: understeerGradient(new VehicleSim(config)),
+          simulated: understeerFromConstantSpeed(series, config.u, L),
+        }));
+      }
 
-        // ---- APPLY STEERING EXCITATION ----
-        sim.steerInput = SWEEP_STEER; // constant small steer
+      const results = runs.map(({ point, summary }, i) => {
+        const { C_est, yawGain } = summary;
+        const { analytic, simulated } = understeer.all[i];
+        return {
+          P: point.pressure,
+          C_est,
+          yawGain,
+          Ku: analytic.Ku_deg_g, // deg/g
+          KuSim: simulated ? simulated.Ku_deg_g : null,
+          vChar: analytic.vChar,
+          vCrit: analytic.vCrit,
+          understeer: Object.fromEntries(UNDERSTEER_CASES.map((c) => [c.key, understeer[c.key][i]])),
+        };
+      });
 
-        // let vehicle reach steady-state
-        for (let t = 0; t < SETTLE_TIME; t += 0.01) {
-          sim.step(0.01);
-        }
+      // ---- UPDATE CHARTS ----
+      chartPressureCalpha.data.labels = results.map((r) => r.P);
+      chartPressureCalpha.data.datasets[0].data = results.map((r) => r.C_est);
+      chartPressureCalpha.update();
 
-        // ---- COLLECT SAMPLES ----
-        const slipArr = [];
-        const FyArr = [];
-        const deltaArr = [];
-        const yawArr = [];
-
-        for (let t = 0; t < SAMPLE_TIME; t += 0.01) {
-          sim.step(0.01);
-          const N = sim.buf.slipFL.length;
-          slipArr.push(sim.buf.slipFL[N - 1]);
-          FyArr.push(sim.buf.FyFL[N - 1]);
-          deltaArr.push(sim.buf.delta[N - 1]);
-          yawArr.push(sim.buf.yaw[N - 1]);
-        }
+      chartPressureYaw.data.labels = results.map((r) => r.P);
+      chartPressureYaw.data.datasets[0].data = results.map((r) => r.yawGain);
+      chartPressureYaw.update();
 
-        // ---- ESTIMATE CORNERING STIFFNESS (Cα) ----
-        const linearPoints = [];
-        for (let i = 0; i < slipArr.length; i++) {
-          if (Math.abs(slipArr[i]) < 3) {
-            linearPoints.push({
-              a: (slipArr[i] * Math.PI) / 180,
-              f: FyArr[i],
-            });
-          }
-        }
+      const nCases = UNDERSTEER_CASES.length;
+      chartUndersteer.data.labels = results.map((r) => r.P);
+      UNDERSTEER_CASES.forEach((c, k) => {
+        const rows = understeer[c.key];
+        const ds = chartUndersteer.data.datasets;
+        ds[k].data = rows.map((u) => u.analytic.Ku_deg_g);
+        ds[nCases + k].data = rows.map((u) => (u.simulated ? u.simulated.Ku_deg_g : null));
+        // neutral steer (Ku = 0) has neither speed: null leaves a gap
+        ds[2 * nCases + k].data = rows.map((u) => {
+          const v = u.analytic.vChar ?? u.analytic.vCrit;
+          return v == null ? null : 3.6 * v;
+        });
+        ds[2 * nCases + k].pointStyle = rows.map((u) => (u.analytic.vCrit ? "triangle" : "circle"));
+      });
+      chartUndersteer.update();
 
-        let C_est = 0;
-        if (linearPoints.length >= 4) {
-          let sumX = 0,
-            sumY = 0,
-            sumXY = 0,
-            sumXX = 0;
-          linearPoints.forEach((p) => {
-            sumX += p.a;
-            sumY += p.f;
-            sumXY += p.a * p.f;
-            sumXX += p.a * p.a;
-          });
-          const n = linearPoints.length;
-          C_est = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
-        }
+      return results;
+    },
 
-        // ---- ESTIMATE YAW GAIN ----
-        const avgYaw = yawArr.reduce((a, b) => a + b, 0) / yawArr.length;
-        const avgDelta = deltaArr.reduce((a, b) => a + b, 0) / deltaArr.length;
+    // Chirp or multisine excitation per pressure (batch runner, live sim
+    // untouched); estimates r/δ and ay/δ and the yaw metrics derived from them
+    runFrequencyResponse: async function (onProgress, { excitation = "chirp" } = {}) {
+      const pressures = [20, 24, 28, 32, 36, 40, 44];
+      const maneuver = { type: excitation, params: { amplitude: 2, f0: 0.1, f1: 3 } };
+      const freqs = analysisFrequencies(maneuver.type, maneuver.params);
+      const tStart = 0.5;
 
-        let yawGain = avgYaw / (avgDelta + 1e-6);
+      const runs = await runBatchInWorker(
+        { config: sim.getConfig(), maneuver, grid: { pressure: pressures }, keepSeries: true },
+        onProgress
+      );
 
-        // ---- UNDERSTEER GRADIENT Ku ----
-        // Simplified bicycle model formula
-        const Wf = 0.55; // assumed distribution front
-        const Wr = 0.45; // rear
-        let Ku = 0;
-        if (C_est > 10) {
-          Ku = Wf / C_est - Wr / C_est;
-        }
+      const results = runs.map(({ point, series }) => {
+        const yaw = estimateFRF(series, "delta", "yaw", freqs, tStart);
+        const ay = estimateFRF(series, "delta", "ay", freqs, tStart);
+        return {
+          P: point.pressure,
+          freqs,
+          yaw,
+          ay,
+          metrics: frfMetrics(yaw),
+          ayPhaseLag1Hz: frfMetrics(ay).phaseLag1Hz,
+        };
+      });
+
+      // ---- UPDATE CHARTS ----
+      const curve = (frf, key) => frf.freqs.map((f, i) => ({ x: f, y: frf[key][i] }));
+      chartBodeMag.data.datasets = results.flatMap((r) => [
+        { label: `r/δ ${r.P} psi`, data: curve(r.yaw, "mag"), borderColor: pressureColor(r.P), pointRadius: 0 },
+        {
+          label: `ay/δ ${r.P} psi`,
+          data: curve(r.ay, "mag"),
+          borderColor: pressureColor(r.P, 0.6),
+          borderDash: [6, 3],
+          pointRadius: 0,
+          yAxisID: "y1",
+        },
+      ]);
+      chartBodeMag.update();
 
-        results.push({ P, C_est, yawGain, Ku });
+      chartBodePhase.data.datasets = results.flatMap((r) => [
+        { label: `r/δ ${r.P} psi`, data: curve(r.yaw, "phase"), borderColor: pressureColor(r.P), pointRadius: 0 },
+        {
+          label: `ay/δ ${r.P} psi`,
+          data: curve(r.ay, "phase"),
+          borderColor: pressureColor(r.P, 0.6),
+          borderDash: [6, 3],
+          pointRadius: 0,
+        },
+      ]);
+      chartBodePhase.update();
+
+      chartFreqMetrics.data.labels = results.map((r) => r.P);
+      chartFreqMetrics.data.datasets[0].data = results.map((r) => r.metrics.fn);
+      chartFreqMetrics.data.datasets[1].data = results.map((r) => r.metrics.bandwidth);
+      chartFreqMetrics.data.datasets[2].data = results.map((r) => r.metrics.zeta);
+      chartFreqMetrics.update();
+
+      chartPhaseLag.data.labels = results.map((r) => r.P);
+      chartPhaseLag.data.datasets[0].data = results.map((r) => r.metrics.phaseLag1Hz);
+      chartPhaseLag.data.datasets[1].data = results.map((r) => r.ayPhaseLag1Hz);
+      chartPhaseLag.update();
+
+      return results;
+    },
+
+    // Step steer per pressure (batch runner, live sim untouched);
+    // transient metrics tabulated in #step-metrics-table and charted
+    runStepResponseSweep: async function (onProgress) {
+      const pressures = [20, 24, 28, 32, 36, 40, 44];
+      const maneuver = { type: "step", params: { amplitude: 3, riseTime: 0.05, hold: 4 } };
+
+      const runs = await runBatchInWorker(
+        { config: sim.getConfig(), maneuver, grid: { pressure: pressures }, keepSeries: true },
+        onProgress
+      );
+
+      const results = runs.map(({ point, series }) => ({
+        P: point.pressure,
+        ...stepResponseMetrics(series),
+      }));
+
+      // ---- UPDATE CHARTS ----
+      const keys = ["yawRiseTime", "yawResponseTime", "yawPeakTime", "yawSettlingTime", "ayLag"];
+      chartStepTimes.data.labels = results.map((r) => r.P);
+      keys.forEach((k, i) => {
+        chartStepTimes.data.datasets[i].data = results.map((r) => r[k]);
+      });
+      chartStepTimes.update();
+
+      chartStepOvershoot.data.labels = results.map((r) => r.P);
+      chartStepOvershoot.data.datasets[0].data = results.map((r) => r.yawOvershoot);
+      chartStepOvershoot.update();
+
+      renderTable("step-metrics-table", results, [
+        ["P", "P (psi)", 1],
+        ["yawRiseTime", "Rise 10–90 % (s)", 3],
+        ["yawResponseTime", "Resp. 90 % (s)", 3],
+        ["yawPeakTime", "Peak time (s)", 3],
+        ["yawOvershoot", "Overshoot (%)", 1],
+        ["yawSettlingTime", "Settling (s)", 3],
+        ["ayLag", "ay lag (s)", 3],
+      ]);
+
+      return results;
+    },
+
+    // Leak scenarios at constant speed with both TPMS strategies attached
+    // (batch runner) -> detection latency chart and table
+    runTPMSScenarios: async function (onProgress) {
+      const ONSET = 40; // s; the indirect system calibrates before the leak
+      const RUN_TIME = 400; // s
+      const scenarios = leakScenarios(ONSET);
+      const results = [];
+
+      for (const [i, sc] of scenarios.entries()) {
+        const [run] = await runBatchInWorker(
+          {
+            config: sim.getConfig(),
+            maneuver: {
+              type: "step",
+              params: { amplitude: 0, tStart: 0, riseTime: 0.1, hold: RUN_TIME },
+              tireEvents: sc.events,
+              tpms: {},
+            },
+            keepSeries: false,
+          },
+          () => onProgress?.(i + 1, scenarios.length)
+        );
+        const direct = latencyStats(run.tpms.direct, ONSET, sc.wheel);
+        const indirect = latencyStats(run.tpms.indirect, ONSET, sc.wheel);
+        const verdict = (s) =>
+          s.falseAlarm ? "false alarm" : !s.detected ? "missed" : s.wheelCorrect ? "ok" : "wrong wheel";
+        results.push({
+          scenario: sc.name,
+          directLatency: direct.latency,
+          directResult: verdict(direct),
+          indirectLatency: indirect.latency,
+          indirectResult: verdict(indirect),
+          direct,
+          indirect,
+        });
       }
 
+      chartTPMSLatency.data.labels = results.map((r) => r.scenario);
+      chartTPMSLatency.data.datasets[0].data = results.map((r) => r.directLatency);
+      chartTPMSLatency.data.datasets[1].data = results.map((r) => r.indirectLatency);
+      chartTPMSLatency.update();
+
+      renderTable("tpms-table", results, [
+        ["scenario", "Scenario"],
+        ["directLatency", "Direct (s)", 1],
+        ["directResult", "Direct"],
+        ["indirectLatency", "Indirect (s)", 1],
+        ["indirectResult", "Indirect"],
+      ]);
+
+      return results;
+    },
+
+    // Ramp steer into the slip-angle limit per pressure (batch runner, live
+    // sim untouched); fits the Magic Formula to the pooled front-wheel α–Fy
+    // data, normalised to the tire's reference load
+    runMFFitSweep: async function (onProgress) {
+      const pressures = [20, 24, 28, 32, 36, 40, 44];
+      const maneuver = { type: "ramp", params: { amplitude: 30, rate: 4 } };
+      const Fz0 = sim.tire.front.Fz0;
+
+      const runs = await runBatchInWorker(
+        { config: sim.getConfig(), maneuver, grid: { pressure: pressures }, keepSeries: true },
+        onProgress
+      );
+
+      const results = runs.map(({ point, series }) => {
+        const data = bufferFitData(series, ["FL", "FR"], Fz0);
+        return { P: point.pressure, fit: fitMagicFormula(data.alpha, data.Fy) };
+      });
+
       // ---- UPDATE CHARTS ----
-      chartPressureCalpha.data.labels = results.map((r) => r.P);
-      chartPressureCalpha.data.datasets[0].data = results.map((r) => r.C_est);
-      chartPressureCalpha.update();
+      chartMFPressure.data.labels = results.map((r) => r.P);
+      ["B", "C", "E", "D"].forEach((k, i) => {
+        chartMFPressure.data.datasets[i].data = results.map((r) => r.fit[k]);
+      });
+      chartMFPressure.update();
 
-      chartPressureYaw.data.labels = results.map((r) => r.P);
-      chartPressureYaw.data.datasets[0].data = results.map((r) => r.yawGain);
-      chartPressureYaw.update();
+      const halfWidth = (fit, k) => (fit.ci[k][1] - fit.ci[k][0]) / 2;
+      renderTable(
+        "mf-sweep-table",
+        results.map(({ P, fit }) => ({
+          P,
+          ...Object.fromEntries(MF_PARAMS.flatMap((k) => [[k, fit[k]], [`${k}ci`, halfWidth(fit, k)]])),
+          rmse: fit.rmse,
+          peak: fit.peakReached ? "yes" : "no",
+        })),
+        [
+          ["P", "P (psi)", 1],
+          ["B", "B", 2],
+          ["Bci", "± B", 2],
+          ["C", "C", 3],
+          ["Cci", "± C", 3],
+          ["D", "D (N)", 0],
+          ["Dci", "± D", 0],
+          ["E", "E", 3],
+          ["Eci", "± E", 3],
+          ["rmse", "RMSE (N)", 1],
+          ["peak", "Peak in data"],
+        ]
+      );
 
-      chartUndersteer.data.labels = results.map((r) => r.P);
-      chartUndersteer.data.datasets[0].data = results.map((r) => r.Ku);
-      chartUndersteer.update();
+      return results;
+    },
+
+    // On-center weave at 100 km/h per pressure (batch runner, live sim
+    // untouched) -> torque–angle loops and on-center metrics table
+    runOnCenterSweep: async function (onProgress) {
+      const pressures = [20, 24, 28, 32, 36, 40, 44];
+      const runs = await runBatchInWorker(
+        { config: sim.getConfig(), maneuver: ON_CENTER_WEAVE, grid: { pressure: pressures, speed_kmh: [100] }, keepSeries: true },
+        onProgress
+      );
+      const results = runs.map(({ point, series }) => ({ P: point.pressure, series, ...onCenterMetrics(series) }));
+
+      // ---- UPDATE CHARTS ----
+      const [live] = chartOnCenter.data.datasets;
+      chartOnCenter.data.datasets = [
+        live,
+        ...results.map((r) => ({
+          label: `Weave ${r.P} psi`,
+          data: xy(r.series, "swAngle", "swTorque"),
+          type: "line",
+          borderColor: pressureColor(r.P),
+          pointRadius: 0,
+        })),
+      ];
+      chartOnCenter.update();
+
+      renderTable("on-center-table", results, [
+        ["P", "P (psi)", 1],
+        ["torqueGradient", "dT/dθ (N·m/deg)", 3],
+        ["torqueGradientAy", "dT/day (N·m/g)", 2],
+        ["sensitivity", "Sensitivity (g/100°)", 3],
+        ["torqueAtZero", "T at 0° (N·m)", 2],
+        ["angleAtZeroTorque", "θ at 0 N·m (deg)", 2],
+      ]);
+
+      return results.map(({ series, ...r }) => r);
+    },
+
+    // Driver model on one path per pressure (batch runner, live sim
+    // untouched). config: DriverModel config { path, pathParams, driver,
+    // speed_kmh } -> driven paths, workload chart and table
+    runDriverSweep: async function (config, onProgress) {
+      const pressures = [20, 24, 28, 32, 36, 40, 44];
+      const { speed_kmh, ...params } = config;
+      const runs = await runBatchInWorker(
+        {
+          config: sim.getConfig(),
+          maneuver: { type: "driver", params },
+          grid: { pressure: pressures, speed_kmh: [speed_kmh] },
+          keepSeries: true,
+        },
+        onProgress
+      );
+      const results = runs.map(({ point, series, driver }) => ({ P: point.pressure, series, ...driver.metrics }));
+
+      // ---- UPDATE CHARTS ----
+      const target = pathPoints(config.path, config.pathParams);
+      chartDriverPath.data.datasets = [
+        {
+          label: "Target path",
+          data: target.x.map((x, i) => ({ x, y: target.y[i] })),
+          type: "line",
+          borderColor: "rgba(60, 60, 60, 0.8)",
+          borderDash: [6, 3],
+          pointRadius: 0,
+        },
+        ...results.map((r) => ({
+          label: `${r.P} psi`,
+          data: xy(r.series, "X", "Y"),
+          type: "line",
+          borderColor: pressureColor(r.P),
+          pointRadius: 0,
+        })),
+      ];
+      chartDriverPath.update();
+
+      chartDriverWorkload.data.labels = results.map((r) => r.P);
+      ["rmsDeviation", "rmsSteerRate", "reversalRate"].forEach((k, i) => {
+        chartDriverWorkload.data.datasets[i].data = results.map((r) => r[k]);
+      });
+      chartDriverWorkload.update();
+
+      renderTable("driver-table", results, [
+        ["P", "P (psi)", 1],
+        ["rmsDeviation", "RMS dev. (m)", 3],
+        ["maxDeviation", "Max dev. (m)", 2],
+        ["rmsSteerRate", "RMS SW rate (deg/s)", 1],
+        ["rmsTorque", "RMS SW torque (N·m)", 2],
+        ["reversalRate", "Reversals (1/min)", 1],
+      ]);
+
+      return results.map(({ series, ...r }) => r);
+    },
+
+    // Brake-in-turn and lift-off from a steady circle per pressure (batch
+    // runner, live sim untouched) -> yaw ratio traces and metrics table
+    runTurnExitTests: async function (onProgress) {
+      const pressures = [20, 26, 32, 38, 44];
+      const tests = Object.keys(TURN_EXIT_TESTS);
+      const params = { tEvent: 5 };
+      const results = [];
+
+      for (const [i, type] of tests.entries()) {
+        const runs = await runBatchInWorker(
+          { config: sim.getConfig(), maneuver: { type, params }, grid: { pressure: pressures }, keepSeries: true },
+          (done, total) => onProgress?.(total * i + done, total * tests.length)
+        );
+        for (const { point, series } of runs) {
+          results.push({ test: type, name: TURN_EXIT_TESTS[type].name, P: point.pressure, ...turnExitMetrics(series, params.tEvent) });
+        }
+      }
+
+      // ---- UPDATE CHARTS ----
+      chartTurnExit.data.datasets = results.map((r) => ({
+        label: `${r.name} ${r.P} psi`,
+        data: r.series.time.map((x, i) => ({ x, y: r.series.yawRatio[i] })),
+        type: "line",
+        borderColor: pressureColor(r.P),
+        borderDash: r.test === "liftOff" ? [6, 3] : [],
+        pointRadius: 0,
+      }));
+      chartTurnExit.update();
+
+      renderTable("turn-exit-table", results, [
+        ["name", "Test"],
+        ["P", "P (psi)", 1],
+        ["yawRatio", "r / r_ref @ 1 s", 3],
+        ["headingError", "Heading error (deg)", 2],
+        ["betaChange", "Δβ (deg)", 2],
+        ["decel", "Decel. (m/s²)", 2],
+      ]);
+
+      return results.map(({ series, ...r }) => r);
+    },
+
+    // Ramp steer to the grip limit per surface × pressure (batch runner, live
+    // sim untouched, its road layout ignored) -> peak ay relative to P0 per
+    // surface and a table of how much underinflation costs on each
+    runSurfaceSweep: async function (onProgress) {
+      const pressures = [20, 24, 28, 32, 36, 40, 44];
+      const surfaces = Object.keys(ROAD_SURFACES);
+      const config = { ...sim.getConfig(), road: { ...sim.road, layout: "uniform", bank: 0, grade: 0 } };
+      const runs = await runBatchInWorker(
+        { config, maneuver: { type: "ramp" }, grid: { surface: surfaces, pressure: pressures }, keepSeries: true },
+        onProgress
+      );
+      const peakAbs = (arr) => arr.reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+      const ref = pressures.reduce((a, b) => (Math.abs(b - sim.P0) < Math.abs(a - sim.P0) ? b : a));
+
+      const results = surfaces.map((surface) => {
+        const rows = runs
+          .filter((r) => r.point.surface === surface)
+          .map(({ point, summary, series }) => ({ P: point.pressure, ayPeak: summary.ayPeak, betaPeak: peakAbs(series.beta) }));
+        const at = (P) => rows.find((r) => r.P === P);
+        const low = at(pressures[0]);
+        const nominal = at(ref);
+        return {
+          surface,
+          name: ROAD_SURFACES[surface].name,
+          mu: ROAD_SURFACES[surface].mu,
+          rows,
+          ayLow: low.ayPeak,
+          ayRef: nominal.ayPeak,
+          ayChange: (100 * (low.ayPeak - nominal.ayPeak)) / nominal.ayPeak,
+          betaLow: low.betaPeak,
+          betaRef: nominal.betaPeak,
+        };
+      });
+
+      // ---- UPDATE CHARTS ----
+      chartSurfaceGrip.data.labels = pressures;
+      chartSurfaceGrip.data.datasets = results.map((r) => ({
+        label: r.name,
+        data: r.rows.map((row) => (100 * row.ayPeak) / r.ayRef),
+        borderColor: `#${ROAD_SURFACES[r.surface].color.toString(16).padStart(6, "0")}`,
+        pointRadius: 2,
+      }));
+      chartSurfaceGrip.update();
+
+      renderTable("surface-table", results, [
+        ["name", "Surface"],
+        ["mu", "μ", 2],
+        ["ayLow", `ay max @ ${pressures[0]} psi (m/s²)`, 2],
+        ["ayRef", `ay max @ ${ref} psi (m/s²)`, 2],
+        ["ayChange", "Δ ay max (%)", 1],
+        ["betaLow", `β max @ ${pressures[0]} psi (deg)`, 2],
+        ["betaRef", `β max @ ${ref} psi (deg)`, 2],
+      ]);
 
       return results;
     },
+
+    // Quasi-static ramp steer with the roll DOF on per pressure (batch
+    // runner, live sim untouched) -> roll vs ay, stability factors and table
+    runRollSweep: async function (onProgress) {
+      const pressures = [20, 24, 28, 32, 36, 40, 44];
+      const runs = await runBatchInWorker(
+        { config: { ...sim.getConfig(), bodyRoll: true }, maneuver: ROLL_RAMP, grid: { pressure: pressures }, keepSeries: true },
+        onProgress
+      );
+      const results = runs.map(({ point, config, series }) => {
+        const car = new VehicleSim(config);
+        const { hs, total } = car.rollProperties();
+        const perAy = rollPerAy(car.m, hs, G, total);
+        return {
+          P: point.pressure,
+          ...rollMetrics(series),
+          rollGradientModel: (perAy * G * 180) / Math.PI,
+          rollStiffness: total,
+          ssf: staticStabilityFactor(car.track, car.h),
+          threshold: rolloverThreshold(car.track, car.h, hs, G, perAy),
+        };
+      });
+
+      // ---- UPDATE CHARTS ----
+      chartRollAy.data.datasets = results.map((r) => ({
+        label: `${r.P} psi`,
+        data: r.series.ay.map((x, i) => ({ x, y: r.series.roll[i] })),
+        type: "line",
+        borderColor: pressureColor(r.P),
+        pointRadius: 0,
+      }));
+      chartRollAy.update();
+
+      chartRollover.data.labels = results.map((r) => r.P);
+      ["ssf", "threshold", "liftAy"].forEach((k, i) => {
+        chartRollover.data.datasets[i].data = results.map((r) => r[k]);
+      });
+      chartRollover.update();
+
+      renderTable("roll-table", results, [
+        ["P", "P (psi)", 1],
+        ["rollGradient", "Roll grad. sim (deg/g)", 2],
+        ["rollGradientModel", "Roll grad. model (deg/g)", 2],
+        ["rollStiffness", "Kφ (N·m/rad)", 0],
+        ["maxRoll", "Max roll (deg)", 2],
+        ["ssf", "SSF", 3],
+        ["threshold", "Rollover (g)", 3],
+        ["liftAy", "Wheel lift (g)", 3],
+      ]);
+
+      return results.map(({ series, ...r }) => r);
+    },
+
+    // Constant-radius and constant-steer tests per pressure (batch runner,
+    // live sim untouched) -> handling diagram, sideslip and yaw gain charts
+    runSteadyStateTests: async function (onProgress) {
+      const pressures = [20, 26, 32, 38, 44];
+      const tests = Object.keys(STEADY_STATE_TESTS);
+      const L = sim.lf + sim.lr;
+      const results = [];
+
+      for (const [i, type] of tests.entries()) {
+        const runs = await runBatchInWorker(
+          { config: sim.getConfig(), maneuver: { type }, grid: { pressure: pressures }, keepSeries: true },
+          (done, total) => onProgress?.(total * i + done, total * tests.length)
+        );
+        for (const { point, series } of runs) {
+          results.push({ test: type, P: point.pressure, diagram: handlingDiagram(series, L) });
+        }
+      }
+
+      // ---- UPDATE CHARTS ----
+      const datasets = (xKey, yKey) =>
+        results.map((r) => ({
+          label: `${STEADY_STATE_TESTS[r.test].name} ${r.P} psi`,
+          data: r.diagram[xKey].map((x, i) => ({ x, y: r.diagram[yKey][i] })),
+          borderColor: pressureColor(r.P),
+          borderDash: r.test === "constantSteer" ? [6, 3] : [],
+          pointRadius: 0,
+        }));
+
+      chartHandling.data.datasets = datasets("ay", "steerExcess");
+      chartHandling.update();
+      chartSideslip.data.datasets = datasets("ay", "beta");
+      chartSideslip.update();
+      chartYawGainSpeed.data.datasets = datasets("speed_kmh", "yawGain");
+      chartYawGainSpeed.update();
+
+      return results;
+    },
+  };
+}
+
+// Fill <table id=id> with rows; columns = [[key, header, decimals], ...]
+function renderTable(id, rows, columns) {
+  const table = document.getElementById(id);
+  if (!table) return;
+
+  const fmt = (v, d) => {
+    if (typeof v === "string") return v;
+    return typeof v === "number" && isFinite(v) ? v.toFixed(d) : "–";
   };
+  const head = `<tr>${columns.map(([, h]) => `<th>${h}</th>`).join("")}</tr>`;
+  const body = rows
+    .map((r) => `<tr>${columns.map(([k, , d]) => `<td>${fmt(r[k], d)}</td>`).join("")}</tr>`)
+    .join("");
+  table.innerHTML = `<thead>${head}</thead><tbody>${body}</tbody>`;
 }
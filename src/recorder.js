@@ -0,0 +1,155 @@
+// src/recorder.js — full-length recording of sim.history to IndexedDB
+//
+// The ring buffer keeps the most recent maxSamples; a DiskRecorder copies
+// every sample into IndexedDB as it arrives, in chunks of `chunkSize`
+// samples, so a recording is only limited by the browser's storage quota.
+// flush() is called once per frame and picks up what is new since the last
+// call (sim.history.total); a buffer reset while recording starts a new
+// segment in the same recording, time restarting at 0. A failed write
+// (quota, closed database) stops the recording, keeps the error in `error`
+// and calls onError(err).
+// Stores: "recordings" { id, name, startedAt, meta, samples, chunks } and
+// "chunks" { recording, index, channels: { key: Float64Array } }.
+
+const DB_NAME = "steering-visualizer";
+const DB_VERSION = 1;
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      db.createObjectStore("recordings", { keyPath: "id", autoIncrement: true });
+      db.createObjectStore("chunks", { keyPath: ["recording", "index"] });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// one request in its own transaction -> Promise of its result
+function request(db, store, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export class DiskRecorder {
+  constructor(sim, { chunkSize = 8192 } = {}) {
+    this.sim = sim;
+    this.chunkSize = chunkSize;
+    this.recording = null; // { id, name, startedAt, meta, samples, chunks } while active
+    this.pending = null; // { key: [] } samples not yet written
+    this.db = null;
+    this.writes = Promise.resolve();
+    this.error = null; // why the last recording stopped, if it failed
+    this.onError = null; // (err) => {}
+  }
+
+  get active() {
+    return this.recording != null;
+  }
+
+  // meta: stored with the recording (e.g. runSnapshot(sim).meta)
+  async start(name, meta = {}) {
+    if (this.active) await this.stop();
+    this.error = null;
+    this.db ??= await openDB();
+    const recording = { name, startedAt: new Date().toISOString(), meta, samples: 0, chunks: 0 };
+    recording.id = await request(this.db, "recordings", "readwrite", (s) => s.add(recording));
+    this.recording = recording;
+    this.resetPending();
+    const h = this.sim.history;
+    this.fed = h.total; // record from now on
+    this.generation = h.generation;
+  }
+
+  resetPending() {
+    this.pending = Object.fromEntries(this.sim.history.keys.map((k) => [k, []]));
+  }
+
+  // copy new samples from the ring buffer; writes full chunks
+  flush() {
+    if (!this.active) return;
+    const h = this.sim.history;
+    if (h.generation !== this.generation) {
+      this.generation = h.generation;
+      this.fed = 0;
+    }
+    for (let abs = Math.max(this.fed, h.start); abs < h.total; abs++) {
+      const i = abs - h.start;
+      for (const k of h.keys) this.pending[k].push(h.at(k, i));
+    }
+    this.fed = h.total;
+    if (this.pending.time.length >= this.chunkSize) this.writeChunk();
+  }
+
+  writeChunk() {
+    const n = this.pending.time.length;
+    if (!n) return this.writes;
+    const rec = this.recording;
+    const chunk = {
+      recording: rec.id,
+      index: rec.chunks++,
+      channels: Object.fromEntries(Object.entries(this.pending).map(([k, v]) => [k, Float64Array.from(v)])),
+    };
+    rec.samples += n;
+    this.resetPending();
+    const summary = { ...rec };
+    this.writes = this.writes
+      .then(() => request(this.db, "chunks", "readwrite", (s) => s.put(chunk)))
+      .then(() => request(this.db, "recordings", "readwrite", (s) => s.put(summary)))
+      .catch((err) => this.fail(err, rec));
+    return this.writes;
+  }
+
+  // a write of recording rec failed: stop it and report once; the caught
+  // chain lets later recordings write again
+  fail(err, rec) {
+    if (this.recording === rec) {
+      this.recording = null;
+      this.pending = null;
+    }
+    if (this.error) return;
+    this.error = err;
+    if (this.onError) this.onError(err);
+    else console.error("Recording stopped:", err);
+  }
+
+  async stop() {
+    if (!this.active) return null;
+    this.flush();
+    await this.writeChunk();
+    const rec = this.recording;
+    this.recording = null;
+    return rec;
+  }
+
+  // [{ id, name, startedAt, samples, ... }] newest first
+  async list() {
+    this.db ??= await openDB();
+    const all = await request(this.db, "recordings", "readonly", (s) => s.getAll());
+    return all.reverse();
+  }
+
+  // recording id -> run { meta, channels } (src/dataexport.js)
+  async load(id) {
+    this.db ??= await openDB();
+    const rec = await request(this.db, "recordings", "readonly", (s) => s.get(id));
+    if (!rec) throw new Error(`No recording ${id}`);
+    const range = IDBKeyRange.bound([id, 0], [id, Infinity]);
+    const chunks = await request(this.db, "chunks", "readonly", (s) => s.getAll(range));
+    const keys = chunks.length ? Object.keys(chunks[0].channels) : [];
+    const channels = Object.fromEntries(keys.map((k) => [k, chunks.flatMap((c) => Array.from(c.channels[k]))]));
+    return { meta: { ...rec.meta, recording: rec.name, startedAt: rec.startedAt, samples: rec.samples }, channels };
+  }
+
+  async remove(id) {
+    this.db ??= await openDB();
+    await request(this.db, "chunks", "readwrite", (s) => s.delete(IDBKeyRange.bound([id, 0], [id, Infinity])));
+    await request(this.db, "recordings", "readwrite", (s) => s.delete(id));
+  }
+}
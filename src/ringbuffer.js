@@ -0,0 +1,112 @@
+// src/ringbuffer.js — typed-array ring buffer for sampled channels
+//
+// Each channel is a typed array (Float64 for the keys listed as precise —
+// time and positions — Float32 otherwise). Storage starts small and doubles
+// until `capacity` samples, after which the oldest samples are overwritten,
+// so push() is O(1) with no shifting. Indices passed to at()/toArray() are
+// relative to the oldest retained sample; `total` counts every sample ever
+// pushed, so consumers (chart decimators, the disk recorder) can pick up
+// only what is new since their last look. `generation` changes on clear().
+
+const INITIAL_SIZE = 1024;
+
+export class RingBuffer {
+  constructor(keys, { capacity = Infinity, precise = [] } = {}) {
+    this.keys = keys;
+    this.capacity = capacity;
+    this.precise = new Set(precise);
+    this.generation = 0;
+    this.clear();
+  }
+
+  // plain arrays { key: [...] } -> buffer holding exactly those samples
+  static fromArrays(channels) {
+    const keys = Object.keys(channels);
+    const n = channels[keys[0]]?.length ?? 0;
+    const ring = new RingBuffer(keys, { capacity: Math.max(1, n), precise: keys });
+    ring.reserve(n);
+    for (const k of keys) ring.data[k].set(channels[k].map((v) => v ?? NaN));
+    ring.total = n;
+    ring.length = n;
+    return ring;
+  }
+
+  clear() {
+    this.size = Math.min(INITIAL_SIZE, this.capacity);
+    this.data = Object.fromEntries(this.keys.map((k) => [k, this.alloc(k, this.size)]));
+    this.head = 0; // next write position
+    this.length = 0;
+    this.total = 0;
+    this.generation++;
+  }
+
+  alloc(key, n) {
+    return this.precise.has(key) ? new Float64Array(n) : new Float32Array(n);
+  }
+
+  // grow the storage to at least n samples (only while not wrapped yet, so
+  // the samples sit at 0..length-1 and the next write goes after them)
+  reserve(n) {
+    if (n <= this.size) return;
+    const size = Math.min(this.capacity, Math.max(n, 2 * this.size));
+    for (const k of this.keys) {
+      const next = this.alloc(k, size);
+      next.set(this.data[k].subarray(0, this.length));
+      this.data[k] = next;
+    }
+    this.size = size;
+    this.head = this.length;
+  }
+
+  // row: { key: value } for every key (missing keys store NaN)
+  push(row) {
+    if (this.length === this.size && this.size < this.capacity) this.reserve(this.size + 1);
+    const i = this.head;
+    for (const k of this.keys) this.data[k][i] = row[k] ?? NaN;
+    this.head = (i + 1) % this.size;
+    if (this.length < this.size) this.length++;
+    this.total++;
+  }
+
+  // storage index of the i-th retained sample (0 = oldest)
+  index(i) {
+    return (this.head - this.length + i + this.size) % this.size;
+  }
+
+  at(key, i) {
+    return this.data[key][this.index(i)];
+  }
+
+  last(key) {
+    return this.length ? this.at(key, this.length - 1) : undefined;
+  }
+
+  // absolute sample number (0 = first sample since clear) of the oldest retained one
+  get start() {
+    return this.total - this.length;
+  }
+
+  // ordered copy of samples [from, to) of one channel as a plain array
+  toArray(key, from = 0, to = this.length) {
+    const out = new Array(Math.max(0, to - from));
+    for (let i = from; i < to; i++) out[i - from] = this.at(key, i);
+    return out;
+  }
+
+  // { key: [...] } of all retained samples, or of [from, to)
+  toArrays(from = 0, to = this.length) {
+    return Object.fromEntries(this.keys.map((k) => [k, this.toArray(k, from, to)]));
+  }
+
+  // first retained index with time >= t (binary search on a sorted channel)
+  lowerBound(key, t) {
+    let lo = 0;
+    let hi = this.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.at(key, mid) < t) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+}
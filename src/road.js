@@ -0,0 +1,72 @@
+// src/road.js — road surface: friction presets, low-grip patches, bank and grade
+//
+// The road is a plane with a base surface and, depending on the layout,
+// patches of a second surface (patchSurface). Patches are world-frame
+// rectangles laid out along the default paths, which start at the origin
+// heading +X (src/driver.js); split-μ puts the low-grip surface under the
+// right-hand wheels (Y < 0).
+//
+// Each surface scales the tire's peak force D by its μ relative to dry
+// asphalt. B is scaled by 1/μ so the small-slip stiffness B·C·D stays the
+// same: a slippery road limits the force, it does not make the tire softer.
+// The linear tire model keeps its Cα and saturates at the same scaled D.
+//
+// The plane is tilted by grade (deg, uphill along +X) and bank (deg, rising
+// towards −Y, which helps a left-hand turn). The downhill pull of gravity
+// acts on the body in the vehicle frame; wheel loads keep their flat-road
+// values (cos of a few degrees).
+
+export const ROAD_SURFACES = {
+  dry: { name: "Dry asphalt", mu: 1.0, color: 0x222222 },
+  wet: { name: "Wet asphalt", mu: 0.7, color: 0x1b2a3a },
+  snow: { name: "Packed snow", mu: 0.3, color: 0x9aa6b0 },
+  ice: { name: "Ice", mu: 0.1, color: 0x6fb4d8 },
+};
+
+// x0..x1, y0..y1 in m (world frame)
+export const ROAD_LAYOUTS = {
+  uniform: { name: "Uniform", patches: [] },
+  splitMu: { name: "Split-μ from 30 m (right side)", patches: [{ x0: 30, x1: Infinity, y0: -Infinity, y1: 0 }] },
+  patch: { name: "Patch 40–70 m (full width)", patches: [{ x0: 40, x1: 70, y0: -Infinity, y1: Infinity }] },
+  stripes: {
+    name: "Stripes every 40 m",
+    patches: [60, 100, 140, 180, 220].map((x) => ({ x0: x, x1: x + 20, y0: -Infinity, y1: Infinity })),
+  },
+};
+
+export const DEFAULT_ROAD = {
+  surface: "dry",
+  layout: "uniform",
+  patchSurface: "ice",
+  bank: 0, // deg
+  grade: 0, // deg
+};
+
+// surface key under world point (X, Y)
+export function surfaceAt(road, X, Y) {
+  for (const p of ROAD_LAYOUTS[road.layout]?.patches ?? []) {
+    if (X >= p.x0 && X < p.x1 && Y >= p.y0 && Y < p.y1) return road.patchSurface;
+  }
+  return road.surface;
+}
+
+// friction of the road at (X, Y) relative to dry asphalt
+export function frictionAt(road, X, Y) {
+  return ROAD_SURFACES[surfaceAt(road, X, Y)]?.mu ?? 1;
+}
+
+// Magic Formula set { B, C, D, E, ... } on a road of relative friction mu
+export function withFriction(tire, mu) {
+  if (mu === 1) return tire;
+  return { ...tire, B: tire.B / mu, D: tire.D * mu };
+}
+
+// gravity along the tilted road in the vehicle frame (m/s²) at heading psi
+// -> { gx (forward), gy (left) }
+export function roadGravity(road, psi, g) {
+  const gX = -g * Math.sin((road.grade * Math.PI) / 180);
+  const gY = g * Math.sin((road.bank * Math.PI) / 180);
+  const c = Math.cos(psi);
+  const s = Math.sin(psi);
+  return { gx: gX * c + gY * s, gy: -gX * s + gY * c };
+}
@@ -0,0 +1,107 @@
+// src/roll.js — body roll: roll stiffness with tire compliance, roll steer, rollover
+//
+// With sim.bodyRoll on, the sprung mass rolls about the roll axis (height
+// rollCenterHeight, arm hs = h − rollCenterHeight to the CG):
+//   Ixx ṗ = m ay hs + m g hs φ − Kφ φ − Cφ p,   φ̇ = p
+// φ > 0 rolls the body right side down, as in a left-hand turn (ay > 0).
+// Lateral load transfer per axle is the geometric part through the roll
+// centre plus the axle's share of the spring and damper moment:
+//   ΔFz_f · T = m ay hRc · lr/L + Kφf φ + splitF · Cφ p
+//
+// Each axle's roll stiffness is its suspension share (rollSplitF) in series
+// with the tires, whose vertical stiffness drops with pressure (sidewall):
+//   kz = kz0 · (carcassShare + (1 − carcassShare) · P/P0),   Kt = (kL + kR) · (T/2)²
+// The suspension stiffness is set from rollGradient, the roll per g on
+// rigid tires, so it scales with the vehicle; damping from a damping ratio.
+// Roll steer turns each axle by rollSteer · φ (negative front / positive
+// rear = roll understeer).
+//
+// rollMetrics() reads roll gradient, peak roll and inner-wheel lift off a
+// ramp steer run (ROLL_RAMP).
+import { G } from "./constants.js";
+import { slope } from "./numeric.js";
+
+
+export const DEFAULT_ROLL = {
+  rollCenterHeight: 0.1, // m
+  rollGradient: 4, // deg/g with rigid tires
+  rollDampingRatio: 0.4,
+  rollGyration: 0.4, // roll radius of gyration / track
+  tireVerticalStiffness: 250000, // N/m per tire at P0
+  carcassShare: 0.2, // share of kz not carried by the inflation pressure
+  rollSteerF: -0.05, // rad road-wheel angle per rad of roll
+  rollSteerR: 0.02,
+};
+
+// vertical stiffness (N/m) of one tire at pressure ratio P/P0
+export function tireVerticalStiffness(PRatio, p) {
+  return p.tireVerticalStiffness * (p.carcassShare + (1 - p.carcassShare) * Math.max(0, PRatio));
+}
+
+// series combination of suspension and tire roll stiffness (N·m/rad)
+export function axleRollStiffness(suspension, kzLeft, kzRight, track) {
+  const tires = (kzLeft + kzRight) * (track / 2) ** 2;
+  return suspension > 0 && tires > 0 ? 1 / (1 / suspension + 1 / tires) : 0;
+}
+
+// total suspension roll stiffness (N·m/rad) for a roll gradient (deg/g)
+export function suspensionRollStiffness(m, hs, g, rollGradientDeg) {
+  const grad = (Math.max(1e-3, rollGradientDeg) * Math.PI) / 180;
+  return m * g * hs * (1 + 1 / grad);
+}
+
+// steady-state roll per lateral acceleration (rad per m/s²)
+export function rollPerAy(m, hs, g, Kphi) {
+  return (m * hs) / Math.max(1e-6, Kphi - m * g * hs);
+}
+
+// static stability factor T / 2h: ay / g at which a rigid car tips
+export function staticStabilityFactor(track, h) {
+  return track / (2 * h);
+}
+
+// rollover threshold (ay / g) of a car that rolls rollPerAy (rad per m/s²):
+// the body roll shifts the CG towards the outer wheels by hs · φ
+export function rolloverThreshold(track, h, hs, g, perAy) {
+  return track / 2 / (h + g * hs * perAy);
+}
+
+//--------------------------------------------------
+// Roll response metrics
+//--------------------------------------------------
+// quasi-static left-hand ramp steer to the grip limit, for roll vs ay
+export const ROLL_RAMP = { type: "ramp", params: { amplitude: 20, rate: 2 } };
+
+// Roll response of a left-hand ramp steer run (roll > 0 with ay > 0):
+//   rollGradient  deg/g, slope of roll vs ay below ayMax
+//   maxRoll       deg
+//   liftAy        ay / g when an inner (left) wheel first leaves the ground,
+//                 null if it never does
+//   series        ay (g) and roll (deg) up to the peak ay, for plotting
+export function rollMetrics(buf, { ayMax = 0.5 * G, liftLoad = 1 } = {}) {
+  const n = buf.time.length;
+  let iPeak = 0;
+  for (let i = 1; i < n; i++) if (buf.ay[i] > buf.ay[iPeak]) iPeak = i;
+
+  const xs = [];
+  const ys = [];
+  const series = { ay: [], roll: [] };
+  let liftAy = null;
+  for (let i = 0; i <= iPeak; i++) {
+    const ay = buf.ay[i];
+    if (ay > 0.05 * G && ay < ayMax) {
+      xs.push(ay / G);
+      ys.push(buf.roll[i]);
+    }
+    if (liftAy == null && Math.min(buf.FzFL[i], buf.FzRL[i]) <= liftLoad) liftAy = ay / G;
+    series.ay.push(ay / G);
+    series.roll.push(buf.roll[i]);
+  }
+
+  return {
+    rollGradient: slope(xs, ys),
+    maxRoll: buf.roll.reduce((m, v) => Math.max(m, Math.abs(v)), 0),
+    liftAy,
+    series,
+  };
+}
@@ -4,6 +4,117 @@ import * as THREE from "three";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
 import { gsap } from "gsap";
+import { pressureHue } from "./colors.js";
+import { ROAD_LAYOUTS, ROAD_SURFACES } from "./road.js";
+
+// the GLTF car faces +Z; sim heading psi = 0 points along world +X
+const MODEL_FORWARD_YAW = Math.PI / 2;
+const GRID_CELL = 10; // m, ground/grid re-centring step
+const TRAIL_POINTS = 2000;
+const TRAIL_SPACING = 0.25; // m between trail samples
+const MAX_GHOSTS = 6;
+const COMPANION_LANE = 4; // m, lateral spacing of comparison cars
+const ROAD_EXTENT = 1000; // m, where open-ended road patches are cut off
+
+// sim world (X east, Y north) -> three.js (x, y up, z south)
+function toScene(X, Y, height = 0) {
+  return new THREE.Vector3(X, height, -Y);
+}
+
+// Line strip with per-vertex colours that fade from the background (oldest)
+// to `color` (newest)
+function createTrail(scene, color, maxPoints = TRAIL_POINTS) {
+  const geometry = new THREE.BufferGeometry();
+  const positions = new Float32Array(maxPoints * 3);
+  const colors = new Float32Array(maxPoints * 3);
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+  geometry.setDrawRange(0, 0);
+
+  const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ vertexColors: true }));
+  line.frustumCulled = false;
+  scene.add(line);
+
+  const points = [];
+  const bg = scene.background;
+  const c = new THREE.Color();
+
+  function refresh() {
+    const n = points.length;
+    for (let i = 0; i < n; i++) {
+      positions.set([points[i].x, points[i].y, points[i].z], i * 3);
+      c.copy(bg).lerp(color, n > 1 ? 0.15 + (0.85 * i) / (n - 1) : 1);
+      colors.set([c.r, c.g, c.b], i * 3);
+    }
+    geometry.setDrawRange(0, n);
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.color.needsUpdate = true;
+  }
+
+  return {
+    line,
+    points,
+    push(p) {
+      const last = points[points.length - 1];
+      if (last && last.distanceTo(p) < TRAIL_SPACING) return;
+      points.push(p.clone());
+      if (points.length > maxPoints) points.shift();
+      refresh();
+    },
+    // flat, semi-transparent copy used for ghost trails
+    freeze(ghostColor) {
+      for (let i = 0; i < points.length; i++) {
+        colors.set([ghostColor.r, ghostColor.g, ghostColor.b], i * 3);
+      }
+      geometry.attributes.color.needsUpdate = true;
+      line.material.transparent = true;
+      line.material.opacity = 0.55;
+    },
+    dispose() {
+      scene.remove(line);
+      geometry.dispose();
+      line.material.dispose();
+    },
+  };
+}
+
+// wheel / steering nodes of a loaded (or cloned) car model
+function findNodes(car) {
+  const find = (name) =>
+    car.getObjectByName(name) ||
+    car.getObjectByProperty("name", name) ||
+    null;
+
+  const steerPivot =
+    find("steerPivot") ||
+    find("steering") ||
+    find("steering_pivot") ||
+    null;
+
+  return {
+    car,
+    frontLeftWheel: find("wheel_fl"),
+    frontRightWheel: find("wheel_fr"),
+    rearLeftWheel: find("wheel_rl"),
+    rearRightWheel: find("wheel_rr"),
+    steerPivot
+  };
+}
+
+// copy of the car with its own materials, tinted towards color
+function tintedClone(car, color) {
+  const clone = car.clone(true);
+  clone.traverse((o) => {
+    if (!o.isMesh) return;
+    const tint = (m) => {
+      const c = m.clone();
+      if (c.color) c.color.lerp(color, 0.6);
+      return c;
+    };
+    o.material = Array.isArray(o.material) ? o.material.map(tint) : tint(o.material);
+  });
+  return clone;
+}
 
 export async function createScene(container) {
   const scene = new THREE.Scene();
@@ -38,6 +149,70 @@ export async function createScene(container) {
   ground.rotation.x = -Math.PI / 2;
   scene.add(ground);
 
+  // grid gives a sense of motion; both follow the car in GRID_CELL steps
+  const grid = new THREE.GridHelper(200, 200 / GRID_CELL, 0x444444, 0x333333);
+  grid.position.y = 0.005;
+  scene.add(grid);
+
+  // ---------- ROAD SURFACE ----------
+  // base surface colours the ground; patches of the layout (src/road.js)
+  // are drawn as flat zones in their own colour
+  const roadZones = new THREE.Group();
+  scene.add(roadZones);
+
+  function setRoad(road) {
+    ground.material.color.setHex(ROAD_SURFACES[road.surface]?.color ?? 0x222222);
+    for (const zone of [...roadZones.children]) {
+      roadZones.remove(zone);
+      zone.geometry.dispose();
+      zone.material.dispose();
+    }
+    const color = ROAD_SURFACES[road.patchSurface]?.color ?? 0x222222;
+    for (const p of ROAD_LAYOUTS[road.layout]?.patches ?? []) {
+      const clip = (v) => Math.max(-ROAD_EXTENT, Math.min(ROAD_EXTENT, v));
+      const [x0, x1, y0, y1] = [clip(p.x0), clip(p.x1), clip(p.y0), clip(p.y1)];
+      const zone = new THREE.Mesh(
+        new THREE.PlaneGeometry(x1 - x0, y1 - y0),
+        new THREE.MeshStandardMaterial({ color })
+      );
+      zone.rotation.x = -Math.PI / 2;
+      zone.position.copy(toScene((x0 + x1) / 2, (y0 + y1) / 2, 0.003));
+      roadZones.add(zone);
+    }
+  }
+
+  // ---------- TRAJECTORY TRAILS ----------
+  let trail = createTrail(scene, new THREE.Color(0xffcc33));
+  const ghosts = [];
+  let follow = true;
+  let lastSimTime = 0;
+  let lastCarPos = null;
+
+  // ---------- TARGET PATH ----------
+  // path of the driver model (src/driver.js) drawn on the ground
+  let targetPath = null;
+
+  function setTargetPath(path) {
+    if (targetPath) {
+      scene.remove(targetPath);
+      targetPath.geometry.dispose();
+      targetPath.material.dispose();
+      targetPath = null;
+    }
+    if (!path) return;
+    const points = path.x.map((x, i) => toScene(x, path.y[i], 0.015));
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    targetPath = new THREE.Line(geometry, new THREE.LineDashedMaterial({ color: 0x66ddff, dashSize: 1, gapSize: 0.6 }));
+    targetPath.computeLineDistances();
+    targetPath.frustumCulled = false;
+    scene.add(targetPath);
+  }
+
+  // ---------- COMPARISON VEHICLES ----------
+  // companion cars (src/compare.js), each in its own lane beside the live car
+  let companions = [];
+  let pendingCompanions = null;
+
   const loader = new GLTFLoader();
 
   // Model references
@@ -49,34 +224,15 @@ export async function createScene(container) {
     (gltf) => {
       const car = gltf.scene;
       car.scale.set(1.2, 1.2, 1.2);
+      // yaw about the vertical, then body roll about the car's own forward
+      // axis (+Z in the model; positive = right side down)
+      car.rotation.order = "YXZ";
       scene.add(car);
 
-      const find = (name) =>
-        car.getObjectByName(name) ||
-        car.getObjectByProperty("name", name) ||
-        null;
-
-      const fl = find("wheel_fl");
-      const fr = find("wheel_fr");
-      const rl = find("wheel_rl");
-      const rr = find("wheel_rr");
-
-      const steerPivot =
-        find("steerPivot") ||
-        find("steering") ||
-        find("steering_pivot") ||
-        null;
-
-      modelNodes = {
-        car,
-        frontLeftWheel: fl,
-        frontRightWheel: fr,
-        rearLeftWheel: rl,
-        rearRightWheel: rr,
-        steerPivot
-      };
+      modelNodes = findNodes(car);
 
       if (onReady) onReady(modelNodes);
+      if (pendingCompanions) setCompanions(pendingCompanions);
     },
     undefined,
     (err) => console.error(err)
@@ -88,6 +244,7 @@ export async function createScene(container) {
 
   const wheelLabel = document.getElementById("wheel-label");
   let focusedWheel = null;
+  const labelPressure = {}; // last shown pressure per wheel
   let interval = null;
 
   function setLabelVisible(v) {
@@ -106,22 +263,30 @@ export async function createScene(container) {
     wheelLabel.style.left = `${x + 10}px`;
     wheelLabel.style.top = `${y - 20}px`;
 
-    // update pressure text
+    // update pressure text (running pressure, with a trend arrow while it
+    // changes, e.g. during a leak)
     if (window.sim && window.sim.visual) {
-      let text = "Pressure: ";
       const sim = window.sim;
-
-      if (focusedWheel === sim.visual.frontLeftWheel)
-        text += `${sim.pressureFL.toFixed(1)} psi (FL)`;
-      else if (focusedWheel === sim.visual.frontRightWheel)
-        text += `${sim.pressureFR.toFixed(1)} psi (FR)`;
-      else if (focusedWheel === sim.visual.rearLeftWheel)
-        text += `${sim.pressureRL.toFixed(1)} psi (RL)`;
-      else if (focusedWheel === sim.visual.rearRightWheel)
-        text += `${sim.pressureRR.toFixed(1)} psi (RR)`;
-      else text += `${sim.pressure.toFixed(1)} psi`;
-
-      wheelLabel.innerText = text;
+      const v = sim.visual;
+      const wheel = {
+        FL: v.frontLeftWheel,
+        FR: v.frontRightWheel,
+        RL: v.rearLeftWheel,
+        RR: v.rearRightWheel,
+      };
+      const w = Object.keys(wheel).find((k) => wheel[k] === focusedWheel);
+
+      if (w) {
+        const P = sim.effectivePressure(w);
+        const dP = labelPressure[w] == null ? 0 : P - labelPressure[w];
+        labelPressure[w] = P;
+        const trend = dP < -0.01 ? " ↓" : dP > 0.01 ? " ↑" : "";
+        let text = `Pressure: ${P.toFixed(1)} psi${trend} (${w})`;
+        if (sim.thermal) text += `\n${sim.tireTemp[w].toFixed(0)} °C, cold ${sim[`pressure${w}`].toFixed(1)} psi`;
+        wheelLabel.innerText = text;
+      } else {
+        wheelLabel.innerText = `Pressure: ${sim.pressure.toFixed(1)} psi`;
+      }
     }
   }
 
@@ -183,8 +348,98 @@ export async function createScene(container) {
     setLabelVisible(false);
   }
 
+  // current trail becomes a ghost, coloured by the run's mean pressure
+  function archiveTrail(sim) {
+    if (trail.points.length > 1) {
+      const P = (sim.pressureFL + sim.pressureFR + sim.pressureRL + sim.pressureRR) / 4;
+      trail.freeze(new THREE.Color().setHSL(pressureHue(P) / 360, 0.7, 0.5));
+      ghosts.push(trail);
+      if (ghosts.length > MAX_GHOSTS) ghosts.shift().dispose();
+    } else {
+      trail.dispose();
+    }
+    trail = createTrail(scene, new THREE.Color(0xffcc33));
+  }
+
+  function clearTrails() {
+    ghosts.splice(0).forEach((g) => g.dispose());
+    trail.dispose();
+    trail = createTrail(scene, new THREE.Color(0xffcc33));
+    companions.forEach((c) => {
+      c.trail.dispose();
+      c.trail = createTrail(scene, c.color);
+    });
+  }
+
+  // vehicles = [{ sim, color }]; replaces any previous companions
+  function setCompanions(vehicles) {
+    companions.forEach((c) => {
+      scene.remove(c.nodes.car);
+      c.nodes.car.traverse((o) => {
+        if (!o.isMesh) return;
+        [].concat(o.material).forEach((m) => m.dispose());
+      });
+      c.trail.dispose();
+    });
+    companions = [];
+
+    if (!modelNodes) {
+      pendingCompanions = vehicles;
+      return;
+    }
+    pendingCompanions = null;
+
+    vehicles.forEach(({ sim, color }, i) => {
+      const c = new THREE.Color(color);
+      const nodes = findNodes(tintedClone(modelNodes.car, c));
+      scene.add(nodes.car);
+      sim.bindVisual(nodes);
+      companions.push({ sim, nodes, color: c, lane: (i + 1) * COMPANION_LANE, trail: createTrail(scene, c) });
+    });
+  }
+
+  function updateCompanions() {
+    for (const c of companions) {
+      const { sim } = c;
+      c.nodes.car.position.copy(toScene(sim.X, sim.Y + c.lane));
+      c.nodes.car.rotation.y = sim.psi + MODEL_FORWARD_YAW;
+      c.nodes.car.rotation.z = sim.phi;
+      c.trail.push(toScene(sim.X, sim.Y + c.lane, 0.02));
+    }
+  }
+
+  // move the car to the sim pose, extend the trail, follow with the camera
+  function updatePose(sim) {
+    // a reset (time running backwards) starts a new run
+    if (sim.time < lastSimTime - 1e-6) archiveTrail(sim);
+    lastSimTime = sim.time;
+
+    const pos = toScene(sim.X, sim.Y);
+    if (modelNodes && modelNodes.car) {
+      modelNodes.car.position.copy(pos);
+      modelNodes.car.rotation.y = sim.psi + MODEL_FORWARD_YAW;
+      modelNodes.car.rotation.z = sim.phi;
+    }
+    trail.push(toScene(sim.X, sim.Y, 0.02));
+
+    if (follow && lastCarPos) {
+      const d = pos.clone().sub(lastCarPos);
+      camera.position.add(d);
+      controls.target.add(d);
+      controls.update();
+    }
+    lastCarPos = pos;
+
+    const gx = Math.round(pos.x / GRID_CELL) * GRID_CELL;
+    const gz = Math.round(pos.z / GRID_CELL) * GRID_CELL;
+    ground.position.set(gx, 0, gz);
+    grid.position.set(gx, 0.005, gz);
+  }
+
   // ---------- UPDATE LOOP ----------
-  function update() {
+  function update(dt, sim) {
+    if (sim) updatePose(sim);
+    updateCompanions();
     renderer.render(scene, camera);
     if (focusedWheel) updateLabel();
   }
@@ -197,6 +452,13 @@ export async function createScene(container) {
 
   return {
     update,
+    clearTrails,
+    setCompanions,
+    setTargetPath,
+    setRoad,
+    setFollow(v) {
+      follow = !!v;
+    },
     onModelReady(cb) {
       onReady = cb;
       if (modelNodes) cb(modelNodes);
@@ -1,4 +1,95 @@
 // src/sim.js — corrected, stable VehicleSim implementation
+import { lateralForce } from "./tires.js";
+import { integrate } from "./integrators.js";
+import {
+  DEFAULT_STIFFNESS,
+  DEFAULT_THERMAL,
+  hotPressure,
+  stiffnessRatio,
+  tireHeatRate,
+} from "./stiffness.js";
+import { RingBuffer } from "./ringbuffer.js";
+import { DEFAULT_STEERING, pneumaticTrail, steeringFeel } from "./steering.js";
+import {
+  DEFAULT_LONGITUDINAL,
+  aeroDrag,
+  brakeForce,
+  combineSlip,
+  driveForce,
+  longitudinalStiffness,
+  slipRatio,
+  wheelForceDemand,
+} from "./longitudinal.js";
+import { DEFAULT_ROAD, frictionAt, roadGravity, withFriction } from "./road.js";
+import {
+  DEFAULT_ROLL,
+  axleRollStiffness,
+  rollPerAy,
+  suspensionRollStiffness,
+  tireVerticalStiffness,
+} from "./roll.js";
+import { G } from "./constants.js";
+
+// corner order used for per-wheel buffers and loops
+export const WHEELS = ["FL", "FR", "RL", "RR"];
+
+// recorded channels (sampled at sampleDt into sim.history)
+export const BUFFER_CHANNELS = [
+  "time",
+  "delta",
+  "yaw",
+  ...WHEELS.map((w) => `slip${w}`),
+  ...WHEELS.map((w) => `Fy${w}`),
+  ...WHEELS.map((w) => `Fz${w}`),
+  "MzFL",
+  "MzFR",
+  "ay",
+  "beta",
+  "speed",
+  "psi",
+  "X",
+  "Y",
+  ...WHEELS.map((w) => `temp${w}`),
+  ...WHEELS.map((w) => `pressure${w}`),
+  "steerCorrection",
+  "swAngle",
+  "swTorque",
+  "assistTorque",
+  "ax",
+  "throttle",
+  "brake",
+  ...WHEELS.map((w) => `Fx${w}`),
+  ...WHEELS.map((w) => `kappa${w}`),
+  ...WHEELS.map((w) => `mu${w}`),
+  "roll",
+  "rollRate",
+];
+// kept in double precision (time stamps and positions grow large)
+const PRECISE_CHANNELS = ["time", "psi", "X", "Y"];
+
+// state vector layout: velocities first (up to STATE_SPLIT), then the
+// states driven by them (slip lags, heading, position)
+const S = { vy: 0, r: 1, u: 2, p: 3, slip: 4, phi: 8, psi: 9, X: 10, Y: 11 };
+const STATE_SPLIT = 4;
+
+// lowest forward speed of the model (m/s); the slip model is singular at 0
+const MIN_SPEED = 0.5;
+
+// parameters replaced by setVehicle()
+const VEHICLE_KEYS = [
+  "m",
+  "Iz",
+  "lf",
+  "lr",
+  "track",
+  "h",
+  "rollSplitF",
+  "P0",
+  "Calpha0",
+  "pressureExponent",
+  "dampingLateral",
+  "dampingYaw",
+];
 
 export class VehicleSim {
   constructor(params) {
@@ -6,30 +97,106 @@ export class VehicleSim {
     this.Iz = params.Iz;
     this.lf = params.lf;
     this.lr = params.lr;
+    this.track = params.track ?? 1.55; // m, track width (same front/rear)
+    this.h = params.h ?? 0.55; // m, CG height
+    this.rollSplitF = params.rollSplitF ?? 0.55; // front share of roll stiffness
 
     this.speed = params.u || 0.01; // m/s, forward speed (never zero)
 
+    // speed as a state driven by throttle / brake, drag and rolling
+    // resistance (src/longitudinal.js); off = speed held where it is set
+    this.longitudinal = params.longitudinal ?? false;
+    this.longitudinalParams = { ...DEFAULT_LONGITUDINAL, ...params.longitudinalParams };
+    this.throttle = 0; // 0..1
+    this.brake = 0; // 0..1
+
+    // roll degree of freedom of the body (src/roll.js); off = load transfer
+    // follows ay at once, split by rollSplitF
+    this.bodyRoll = params.bodyRoll ?? false;
+    this.rollParams = { ...DEFAULT_ROLL, ...params.rollParams };
+
     this.P0 = params.P0;
     this.Calpha0 = params.Calpha0;
-    this.sigma0 = params.sigma0;
+    this.pressureExponent = params.pressureExponent ?? 0.8; // Cα ∝ P^n
+    // Cα(P, Fz, T) model ("power" | "surface", see src/stiffness.js)
+    this.stiffnessModel = params.stiffnessModel || "power";
+    this.stiffness = { ...DEFAULT_STIFFNESS, ...params.stiffness };
+
+    // tire temperatures (°C) rise with slip power; pressures set on the
+    // sim are cold pressures at ambient temperature
+    this.thermal = params.thermal ?? false;
+    this.ambientTemp = params.ambientTemp ?? 20;
+    this.tireThermal = { ...DEFAULT_THERMAL, ...params.tireThermal };
+    this.sigma0 = params.sigma0; // m, relaxation length at P0 (0 = no lag)
+
+    // aligning torque and steering system (see src/steering.js)
+    this.steering = { ...DEFAULT_STEERING, ...params.steering };
+
+    // rolling resistance coefficient: crr0 at P0, growing as 1/P up to
+    // crrFlat for a flat tire; uneven drag left/right yaws the car
+    this.crr0 = params.crr0 ?? 0.01;
+    this.crrFlat = params.crrFlat ?? 0.15;
+
+    // rolling radius shrinks slightly with pressure (what indirect TPMS sees)
+    this.wheelRadius = params.wheelRadius ?? 0.33; // m at P0
+    this.radiusPressureSens = params.radiusPressureSens ?? 0.02; // ΔR/R per ΔP/P0
+
+    // body damping that keeps the linear model well behaved at low speed
+    this.dampingLateral = params.dampingLateral ?? 3000; // N·s/m
+    this.dampingYaw = params.dampingYaw ?? 2500; // N·m·s/rad
+
+    // tire model ("linear" | "magic" | "brush") and per-axle Magic Formula
+    // parameters for one tire at static load and reference pressure P0.
+    // Calpha0 is the axle stiffness, so each tire gets half of it at small
+    // slip; the peak is mu * Fz (tire).
+    this.tireModel = params.tireModel || "linear";
+    this.mu = params.mu ?? 1.0;
+
+    // road surface under each wheel (src/road.js) scales the peak force
+    // relative to dry asphalt; bank / grade add a gravity pull
+    this.road = { ...DEFAULT_ROAD, ...params.road };
+    this.tire = {
+      front: this.defaultTireParams(this.staticWheelLoad("front"), params.tireFront),
+      rear: this.defaultTireParams(this.staticWheelLoad("rear"), params.tireRear),
+    };
 
     // pressure (global + per-wheel)
+    const p = params.pressures || {};
     this.pressure = this.P0;
-    this.pressureFL = this.P0;
-    this.pressureFR = this.P0;
-    this.pressureRL = this.P0;
-    this.pressureRR = this.P0;
+    this.pressureFL = p.FL ?? this.P0;
+    this.pressureFR = p.FR ?? this.P0;
+    this.pressureRL = p.RL ?? this.P0;
+    this.pressureRR = p.RR ?? this.P0;
 
     // dynamic state
     this.r = 0; // yaw rate (rad/s)
     this.vy = 0; // lateral velocity (m/s)
+    this.ay = 0; // lateral acceleration (m/s²), drives load transfer
+    this.ax = 0; // longitudinal acceleration (m/s²), drives load transfer
+    this.kappa = { FL: 0, FR: 0, RL: 0, RR: 0 }; // slip ratios of the last step
     this.time = 0; // simulation time (s)
+    this.slipLag = { FL: 0, FR: 0, RL: 0, RR: 0 }; // lagged slip angles (rad)
+    this.psi = 0; // heading (rad, CCW from +X)
+    this.X = 0; // world position (m), X east / Y north at psi = 0
+    this.Y = 0;
+
+    // integration: fixed internal step, buffers sampled at sampleDt
+    this.integrator = params.integrator || "rk4"; // "euler" | "semiImplicit" | "rk4"
+    this.fixedDt = params.fixedDt || 0.002; // s
+    this.sampleDt = params.sampleDt || 0.01; // s
+    this.maxSamples = params.maxSamples || 360000; // per channel (1 h at 10 ms), oldest overwritten
 
     // wheel animation state (bounded)
     this._wheelSpin = 0; // rad
 
     // input
     this.steerInput = 0; // degrees
+    this.steerCorrection = 0; // degrees, added by controllers (tire events)
+    this.steerRate = 0; // deg/s of road-wheel angle, for rack friction
+
+    // input sources (maneuvers, ...) updated before every substep;
+    // each has update(sim, h)
+    this.controllers = [];
 
     // visual nodes (set by bindVisual)
     this.visual = null;
@@ -39,18 +206,99 @@ export class VehicleSim {
   }
 
   resetBuffers() {
-    this.buf = {
-      time: [],
-      delta: [],
-      yaw: [],
-      slipFL: [],
-      FyFL: [],
-      MzFL: [],
-      ay: [],
-    };
+    this.history ??= new RingBuffer(BUFFER_CHANNELS, { capacity: this.maxSamples, precise: PRECISE_CHANNELS });
+    this.history.clear();
     this.time = 0;
     this.vy = 0;
     this.r = 0;
+    this.phi = 0; // rad, body roll (right side down > 0)
+    this.p = 0; // rad/s, roll rate
+    this.ay = 0;
+    this.ax = 0;
+    for (const w of WHEELS) {
+      this.slipLag[w] = 0;
+      this.kappa[w] = 0;
+    }
+    this.tireTemp = Object.fromEntries(WHEELS.map((w) => [w, this.ambientTemp]));
+    this.psi = 0;
+    this.X = 0;
+    this.Y = 0;
+    this._accumulator = 0;
+    this._nextSample = 0;
+    this._lastDelta = null;
+    this.steerRate = 0;
+  }
+
+  // plain-object copy of everything needed to rebuild an identical sim
+  // (new VehicleSim(sim.getConfig())); safe to post to a Web Worker
+  getConfig() {
+    return {
+      m: this.m,
+      Iz: this.Iz,
+      lf: this.lf,
+      lr: this.lr,
+      track: this.track,
+      h: this.h,
+      rollSplitF: this.rollSplitF,
+      u: this.speed,
+      longitudinal: this.longitudinal,
+      longitudinalParams: { ...this.longitudinalParams },
+      bodyRoll: this.bodyRoll,
+      rollParams: { ...this.rollParams },
+      P0: this.P0,
+      Calpha0: this.Calpha0,
+      pressureExponent: this.pressureExponent,
+      stiffnessModel: this.stiffnessModel,
+      stiffness: { ...this.stiffness },
+      thermal: this.thermal,
+      ambientTemp: this.ambientTemp,
+      tireThermal: { ...this.tireThermal },
+      steering: { ...this.steering },
+      crr0: this.crr0,
+      crrFlat: this.crrFlat,
+      wheelRadius: this.wheelRadius,
+      radiusPressureSens: this.radiusPressureSens,
+      sigma0: this.sigma0,
+      dampingLateral: this.dampingLateral,
+      dampingYaw: this.dampingYaw,
+      tireModel: this.tireModel,
+      mu: this.mu,
+      road: { ...this.road },
+      tireFront: { ...this.tire.front },
+      tireRear: { ...this.tire.rear },
+      pressures: {
+        FL: this.pressureFL,
+        FR: this.pressureFR,
+        RL: this.pressureRL,
+        RR: this.pressureRR,
+      },
+      integrator: this.integrator,
+      fixedDt: this.fixedDt,
+      sampleDt: this.sampleDt,
+    };
+  }
+
+  // Swap in a new vehicle definition (src/vehicles.js vehicleConfig()):
+  // mass, geometry, reference pressure, stiffness and damping. The tires go
+  // back to their defaults for the new static loads, all four pressures to
+  // P0, and the run restarts. Inputs, controllers and visuals are kept.
+  setVehicle(params) {
+    for (const key of VEHICLE_KEYS) {
+      if (params[key] != null) this[key] = params[key];
+    }
+    this.setTireParams("front", this.defaultTireParams(this.staticWheelLoad("front"), params.tireFront));
+    this.setTireParams("rear", this.defaultTireParams(this.staticWheelLoad("rear"), params.tireRear));
+    this.pressure = this.P0;
+    for (const w of WHEELS) this[`pressure${w}`] = this.P0;
+    this.resetBuffers();
+  }
+
+  addController(c) {
+    if (!this.controllers.includes(c)) this.controllers.push(c);
+  }
+
+  removeController(c) {
+    this.controllers = this.controllers.filter((x) => x !== c);
   }
 
   bindVisual(nodes) {
@@ -61,104 +309,470 @@ export class VehicleSim {
     if (nodes.rearRightWheel) nodes.rearRightWheel.userData.isWheel = true;
   }
 
-  // Cornering stiffness vs pressure (user-defined formula)
+  // Magic Formula set for a tire carrying Fz0 (N) unless overridden;
+  // Fz0 is the reference load D was defined at
+  defaultTireParams(Fz0, overrides = {}) {
+    const C = 1.3;
+    const D = this.mu * Fz0;
+    const B = (0.5 * this.Calpha0) / (C * D);
+    return { B, C, D, E: 0.2, Fz0, ...overrides };
+  }
+
+  // static vertical load on one tire of an axle (N)
+  staticWheelLoad(axle) {
+    const L = this.lf + this.lr;
+    const axleLoad = (this.m * G * (axle === "front" ? this.lr : this.lf)) / L;
+    return 0.5 * axleLoad;
+  }
+
+  // Roll stiffness (N·m/rad) of the body on its springs and tires at the
+  // current pressures: { front, rear, total }, plus the roll arm hs (m),
+  // roll inertia Ixx about the roll axis (kg·m²) and damping (N·m·s/rad)
+  rollProperties() {
+    const rp = this.rollParams;
+    const hs = Math.max(0, this.h - rp.rollCenterHeight);
+    const Ks = suspensionRollStiffness(this.m, hs, G, rp.rollGradient);
+    const kz = (w) => tireVerticalStiffness(this.effectivePressure(w) / this.P0, rp);
+    const front = axleRollStiffness(this.rollSplitF * Ks, kz("FL"), kz("FR"), this.track);
+    const rear = axleRollStiffness((1 - this.rollSplitF) * Ks, kz("RL"), kz("RR"), this.track);
+    const total = front + rear;
+    const Ixx = this.m * ((rp.rollGyration * this.track) ** 2 + hs * hs);
+    return { front, rear, total, hs, Ixx, damping: 2 * rp.rollDampingRatio * Math.sqrt(total * Ixx) };
+  }
+
+  // steady-state body roll (rad) at lateral acceleration ay
+  steadyRoll(ay) {
+    const { hs, total } = this.rollProperties();
+    return rollPerAy(this.m, hs, G, total) * ay;
+  }
+
+  // per-wheel vertical loads with lateral load transfer (ay > 0 loads the
+  // right-hand tires), split between axles by roll stiffness, and
+  // longitudinal load transfer (ax < 0, braking, loads the front axle).
+  // With body roll the lateral part comes from the roll centres and the
+  // roll state { phi, p } (steady-state roll at ay if not given).
+  wheelLoads(ay, ax = 0, roll = null) {
+    let dF, dR;
+    if (this.bodyRoll) {
+      const L = this.lf + this.lr;
+      const rp = this.rollProperties();
+      const { phi, p } = roll ?? { phi: this.steadyRoll(ay), p: 0 };
+      const geo = this.m * ay * this.rollParams.rollCenterHeight;
+      dF = (geo * (this.lr / L) + rp.front * phi + this.rollSplitF * rp.damping * p) / this.track;
+      dR = (geo * (this.lf / L) + rp.rear * phi + (1 - this.rollSplitF) * rp.damping * p) / this.track;
+    } else {
+      const dFz = (this.m * ay * this.h) / this.track;
+      dF = this.rollSplitF * dFz;
+      dR = (1 - this.rollSplitF) * dFz;
+    }
+    const dX = (0.5 * this.m * ax * this.h) / (this.lf + this.lr); // per wheel
+    const Ff = this.staticWheelLoad("front") - dX;
+    const Fr = this.staticWheelLoad("rear") + dX;
+    return {
+      FL: Math.max(0, Ff - dF),
+      FR: Math.max(0, Ff + dF),
+      RL: Math.max(0, Fr - dR),
+      RR: Math.max(0, Fr + dR),
+    };
+  }
+
+  setTireParams(axle, params) {
+    Object.assign(this.tire[axle], params);
+  }
+
+  // Axle cornering stiffness vs pressure at static load and ambient
+  // temperature, for the selected stiffness model
   CalphaFromP(P) {
-    // guard: don't divide by zero
+    return this.Calpha0 * this.stiffnessRatio(P, 1, this.ambientTemp);
+  }
+
+  // Cα(P, Fz, T) / Cα(P0, Fz0, T_ambient); FzRatio = Fz / Fz0
+  stiffnessRatio(P, FzRatio, T) {
+    return stiffnessRatio(this.stiffnessModel, P, this.P0, FzRatio, T, this.ambientTemp, {
+      n: this.pressureExponent,
+      ...this.stiffness,
+    });
+  }
+
+  // inflation pressure a wheel runs at: its cold pressure, raised by the
+  // tire temperature when the thermal model is on
+  effectivePressure(w) {
+    const P = this[`pressure${w}`];
+    return this.thermal ? hotPressure(P, this.tireTemp[w], this.ambientTemp) : P;
+  }
+
+  rollingResistanceCoeff(P) {
+    return Math.min(this.crrFlat, (this.crr0 * this.P0) / Math.max(0.1, P));
+  }
+
+  // effective rolling radius (m) at pressure P
+  rollingRadius(P) {
+    const dP = Math.min(1, (this.P0 - Math.max(0, P)) / this.P0);
+    return this.wheelRadius * (1 - this.radiusPressureSens * dP);
+  }
+
+  // wheel angular speeds (rad/s) for the current state: the contact-point
+  // velocity along each wheel's heading over its rolling radius, plus the
+  // slip ratio under drive or brake torque
+  wheelSpeeds() {
+    const delta = (((this.steerInput || 0) + this.steerCorrection) * Math.PI) / 180;
+    const halfT = 0.5 * this.track;
+    const out = {};
+    for (const w of WHEELS) {
+      const front = w[0] === "F";
+      const x = front ? this.lf : -this.lr;
+      const y = w[1] === "L" ? halfT : -halfT;
+      const steer = front ? delta : 0;
+      const vx = this.speed - y * this.r;
+      const vy = this.vy + x * this.r;
+      const v = vx * Math.cos(steer) + vy * Math.sin(steer);
+      out[w] = (v * (1 + this.kappa[w])) / this.rollingRadius(this.effectivePressure(w));
+    }
+    return out;
+  }
+
+  // Relaxation length vs pressure: a softer carcass needs more rolling
+  // distance to build up lateral force, so σ grows as pressure drops.
+  relaxationLength(P) {
     const safeP = Math.max(0.1, P);
-    return this.Calpha0 * Math.pow(safeP / this.P0, 0.8);
+    return (this.sigma0 || 0) * Math.pow(this.P0 / safeP, 0.5);
   }
 
-  // single integration step (dt in seconds)
-  step(dt) {
-    if (!(dt > 0)) return;
+  // Tire parameters for one tire of an axle at pressure P, load Fz and
+  // temperature T. The small-slip stiffness B·C·D follows the stiffness
+  // model Cα(P, Fz, T); the peak D follows the load and mildly the pressure
+  // (a softer tire has a longer contact patch). Fz defaults to the static
+  // load, T to ambient.
+  tireParamsAt(axle, P, Fz = this.staticWheelLoad(axle), T = this.ambientTemp) {
+    const base = this.tire[axle];
+    const safeP = Math.max(0.1, P);
+    const kFz = Math.max(1e-3, Fz / base.Fz0);
+    const kC = this.stiffnessRatio(safeP, kFz, T);
+    const kD = Math.pow(safeP / this.P0, -0.1);
+    return {
+      Calpha: 0.5 * this.Calpha0 * kC,
+      B: (base.B * kC) / (kD * kFz),
+      C: base.C,
+      D: base.D * kD * kFz,
+      E: base.E,
+    };
+  }
 
-    this.time += dt;
+  // small-slip cornering stiffness of one tire (N/rad) at pressure P, load
+  // Fz and temperature T (static load / ambient by default), as seen by the
+  // selected tire model
+  tireCorneringStiffness(axle, P, Fz, T) {
+    const t = this.tireParamsAt(axle, P, Fz, T);
+    return this.tireModel === "linear" ? t.Calpha : t.B * t.C * t.D;
+  }
 
-    // steering input in radians
-    const delta_deg = this.steerInput || 0;
-    const delta = (delta_deg * Math.PI) / 180;
+  // Aligning torque of one tire: { trail (m), Mz (N·m) } at slip alpha
+  // (rad) with lateral force Fy and load Fz on road friction mu; positive
+  // Mz turns the wheel back towards zero slip
+  aligningMoment(w, alpha, Fy, Fz, mu = 1) {
+    const axle = w[0] === "F" ? "front" : "rear";
+    const P = this.effectivePressure(w);
+    const t = withFriction(this.tireParamsAt(axle, P, Fz, this.tireTemp[w]), mu);
+    const Calpha = this.tireModel === "linear" ? t.Calpha : t.B * t.C * t.D;
+    const trail = pneumaticTrail(alpha, Calpha / t.D, Fz / this.tire[axle].Fz0, P / this.P0, this.steering);
+    return { trail, Mz: trail * Fy };
+  }
 
-    // forward speed safe
-    const u = Math.max(0.01, this.speed);
+  // ----- STATE VECTOR -----
+  // [vy, r, u, p | slip lags FL..RR, phi, psi, X, Y] (layout in S)
+  getState() {
+    return [
+      this.vy,
+      this.r,
+      this.speed,
+      this.p,
+      ...WHEELS.map((w) => this.slipLag[w]),
+      this.phi,
+      this.psi,
+      this.X,
+      this.Y,
+    ];
+  }
+
+  setState(x) {
+    this.vy = x[S.vy];
+    this.r = x[S.r];
+    this.speed = x[S.u];
+    this.p = x[S.p];
+    this.phi = x[S.phi];
+    WHEELS.forEach((w, i) => (this.slipLag[w] = x[S.slip + i]));
+    this.psi = x[S.psi];
+    this.X = x[S.X];
+    this.Y = x[S.Y];
+  }
 
-    // front / rear average pressures (per-wheel supported)
-    const Pf = 0.5 * (this.pressureFL + this.pressureFR);
-    const Pr = 0.5 * (this.pressureRL + this.pressureRR);
+  // State derivatives for state x and frozen inputs { delta (rad), throttle,
+  // brake }. Returns { dx, out } where out holds the forces/accelerations
+  // for recording.
+  derivatives(x, inputs) {
+    const vy = x[S.vy];
+    const r = x[S.r];
+    const psi = x[S.psi];
+    const u = Math.max(MIN_SPEED, x[S.u]);
+    const cosPsi = Math.cos(psi);
+    const sinPsi = Math.sin(psi);
+    const { delta } = inputs;
+    const phi = this.bodyRoll ? x[S.phi] : 0;
+    const p = this.bodyRoll ? x[S.p] : 0;
+
+    // ----- CORNERS (four-wheel model, left = +y), with roll steer -----
+    const halfT = 0.5 * this.track;
+    const steerF = delta + this.rollParams.rollSteerF * phi;
+    const steerR = this.rollParams.rollSteerR * phi;
+    const corners = {
+      FL: { x: this.lf, y: halfT, axle: "front", steer: steerF },
+      FR: { x: this.lf, y: -halfT, axle: "front", steer: steerF },
+      RL: { x: -this.lr, y: halfT, axle: "rear", steer: steerR },
+      RR: { x: -this.lr, y: -halfT, axle: "rear", steer: steerR },
+    };
 
-    const Caf = this.CalphaFromP(Pf);
-    const Car = this.CalphaFromP(Pr);
+    // vertical loads from the last evaluated accelerations and the roll state
+    const Fz = this.wheelLoads(this.ay, this.ax, { phi, p });
 
-    // ----- SLIP ANGLES (small-angle bicycle approx) -----
-    // alpha_f = delta - (vy + lf * r)/u
-    // alpha_r = - (vy - lr * r)/u
-    let alpha_f = delta - (this.vy + this.lf * this.r) / u;
-    let alpha_r = -(this.vy - this.lr * this.r) / u;
+    // drive / brake totals (N), zero with fixed speed
+    const lp = this.longitudinalParams;
+    const drive = this.longitudinal ? driveForce(inputs.throttle, u, lp) : 0;
+    const brake = this.longitudinal ? brakeForce(inputs.brake, lp) : 0;
 
     // clamp slip (rad) to reasonable physical bounds to avoid numeric blowups
     const maxSlip = (20 * Math.PI) / 180;
-    alpha_f = Math.max(-maxSlip, Math.min(maxSlip, alpha_f));
-    alpha_r = Math.max(-maxSlip, Math.min(maxSlip, alpha_r));
 
-    // ----- LATERAL FORCES (linear approx near origin; PF/FZ effects could be added) -----
-    const Fy_f_raw = -Caf * alpha_f;
-    const Fy_r_raw = -Car * alpha_r;
+    let FxBody = 0; // N, sum of longitudinal forces in the vehicle frame
+    let FyBody = 0; // N, sum of lateral forces in the vehicle frame
+    let Mz = 0; // N·m, yaw moment about the CG
+    const alpha = {};
+    const Fx = {};
+    const Fy = {};
+    const kappa = {};
+    const mu = {};
+    const dSlip = [];
+
+    WHEELS.forEach((w, i) => {
+      const c = corners[w];
+      c.P = this.effectivePressure(w);
+
+      // ----- SLIP ANGLE at the contact patch -----
+      // alpha = steer - atan((vy + x r) / (u - y r))
+      const vxw = Math.max(0.01, u - c.y * r);
+      const vyw = vy + c.x * r;
+      let aKin = c.steer - Math.atan2(vyw, vxw);
+      aKin = Math.max(-maxSlip, Math.min(maxSlip, aKin));
+
+      // ----- SLIP LAG (first-order, relaxation length σ) -----
+      // σ/V * dα/dt + α = α_kin ; without σ the slip is purely kinematic
+      const sigma = this.relaxationLength(c.P);
+      let a = aKin;
+      if (sigma > 0) {
+        a = x[S.slip + i];
+        dSlip.push((vxw / sigma) * (aKin - a));
+      } else {
+        dSlip.push(0);
+      }
 
-    // clamp forces to physical limits
-    const FyMax = 1e5;
-    const Fy_f = Math.max(-FyMax, Math.min(FyMax, Fy_f_raw));
-    const Fy_r = Math.max(-FyMax, Math.min(FyMax, Fy_r_raw));
+      // ----- LATERAL FORCE (selected tire model, positive α -> positive Fy) -----
+      // road friction under the contact patch (src/road.js)
+      mu[w] = frictionAt(this.road, x[S.X] + c.x * cosPsi - c.y * sinPsi, x[S.Y] + c.x * sinPsi + c.y * cosPsi);
+      const tire = withFriction(this.tireParamsAt(c.axle, c.P, Fz[w], this.tireTemp[w]), mu[w]);
+      const fyPure = Fz[w] > 0 ? lateralForce(this.tireModel, a, tire) : 0;
+
+      // ----- COMBINED SLIP (drive / brake share of grip, friction ellipse) -----
+      const Fmax = Fz[w] > 0 ? tire.D : 0;
+      const { Fx: fxTire, Fy: f } = combineSlip(wheelForceDemand(w, drive, brake, lp), fyPure, Fmax);
+      const Ckappa = longitudinalStiffness(Fz[w] / this.tire[c.axle].Fz0, c.P / this.P0, lp);
+
+      // rolling resistance opposes the wheel's rolling direction
+      const Frr = this.rollingResistanceCoeff(c.P) * Fz[w];
+
+      // wheel-frame forces -> vehicle frame
+      const fx = (fxTire - Frr) * Math.cos(c.steer) - f * Math.sin(c.steer);
+      const fy = (fxTire - Frr) * Math.sin(c.steer) + f * Math.cos(c.steer);
+      FxBody += fx;
+      FyBody += fy;
+      Mz += c.x * fy - c.y * fx;
+
+      alpha[w] = a;
+      Fx[w] = fxTire;
+      Fy[w] = f;
+      kappa[w] = slipRatio(fxTire, Ckappa, Fmax);
+    });
 
     // ----- DAMPING TERMS (stabilize dynamics) -----
-    const Cv = 3000; // lateral damping (N·s/m) - tuneable
-    const Cr = 2500; // yaw damping (N·m·s/rad) - tuneable
+    const Cv = this.dampingLateral; // lateral damping (N·s/m)
+    const Cr = this.dampingYaw; // yaw damping (N·m·s/rad)
 
     // ----- DYNAMICS (with damping) -----
-    // m( vy_dot + u r ) = Fy_f + Fy_r - Cv*vy  => vy_dot = (Fy_f + Fy_r - Cv*vy)/m - u*r
-    const vy_dot = (Fy_f + Fy_r - Cv * this.vy) / this.m - u * this.r;
-
-    // Iz * r_dot = lf*Fy_f - lr*Fy_r - Cr*r
-    const r_dot = (this.lf * Fy_f - this.lr * Fy_r - Cr * this.r) / this.Iz;
-
-    // integrate (forward Euler)
-    this.vy += vy_dot * dt;
-    this.r += r_dot * dt;
-
-    // clamp states to safe ranges
-    const vyMax = 50; // m/s
-    const rMax = 50; // rad/s (~2860 deg/s — still generous, will be clamped further by physical forces)
-    this.vy = Math.max(-vyMax, Math.min(vyMax, this.vy));
-    this.r = Math.max(-rMax, Math.min(rMax, this.r));
-
-    // guard NaN/Inf
-    if (!isFinite(this.vy) || !isFinite(this.r)) {
-      console.warn("Numerical instability detected — resetting vy and r to zero.");
-      this.vy = 0;
-      this.r = 0;
-    }
+    // gravity along a banked / graded road, vehicle frame
+    const { gx, gy } = roadGravity(this.road, psi, G);
+
+    // m( vy_dot + u r ) = ΣFy - Cv*vy + m gy  => vy_dot = (ΣFy - Cv*vy)/m + gy - u*r
+    const vy_dot = (FyBody - Cv * vy) / this.m + gy - u * r;
+
+    // Iz * r_dot = ΣMz - Cr*r
+    const r_dot = (Mz - Cr * r) / this.Iz;
 
-    // lateral acceleration at vehicle CG (correct formula)
-    const ay = vy_dot + u * this.r;
+    // lateral acceleration at vehicle CG (correct formula, gravity excluded)
+    const ay = vy_dot + u * r - gy;
 
-    // approximate aligning torque (simple proportional relationship)
-    const Mz_f = 0.12 * Fy_f;
+    // m( u_dot - vy r ) = ΣFx - drag; the speed stays put without
+    // longitudinal dynamics and never drops below MIN_SPEED
+    let ax = this.longitudinal ? (FxBody - aeroDrag(u, lp)) / this.m : 0;
+    let u_dot = this.longitudinal ? ax + gx + vy * r : 0;
+    if (x[S.u] <= MIN_SPEED && u_dot < 0) {
+      u_dot = 0;
+      ax = 0;
+    }
 
-    // ----- Save to buffers (for plotting) -----
-    // Trim before push if we are at the limit
-    const maxN = 2000;
-    if (this.buf.time.length >= maxN) {
-      for (const k in this.buf) this.buf[k].shift();
+    // Ixx p_dot = m ay hs + m g hs phi - Kphi phi - Cphi p
+    let p_dot = 0;
+    if (this.bodyRoll) {
+      const rp = this.rollProperties();
+      p_dot = (this.m * rp.hs * (ay + G * phi) - rp.total * phi - rp.damping * p) / rp.Ixx;
     }
 
-    this.buf.time.push(this.time);
-    this.buf.delta.push(delta_deg);
-    this.buf.yaw.push((this.r * 180) / Math.PI); // store yaw in deg/s
-    this.buf.slipFL.push((alpha_f * 180) / Math.PI); // deg
-    this.buf.FyFL.push(Fy_f);
-    this.buf.MzFL.push(Mz_f);
-    this.buf.ay.push(ay);
+    // ----- KINEMATICS (heading and world position) -----
+    const psi_dot = r;
+    const X_dot = u * cosPsi - vy * sinPsi;
+    const Y_dot = u * sinPsi + vy * cosPsi;
+
+    return {
+      dx: [vy_dot, r_dot, u_dot, p_dot, ...dSlip, p, psi_dot, X_dot, Y_dot],
+      out: { alpha, Fx, Fy, Fz, kappa, mu, ay, ax },
+    };
+  }
+
+  // Advance by frame time dt (seconds). The model itself always runs at the
+  // fixed step this.fixedDt; leftover time is carried to the next call so
+  // results do not depend on the browser frame rate.
+  step(dt) {
+    if (!(dt > 0)) return;
+
+    this._accumulator += dt;
+    let last = null;
+    while (this._accumulator >= this.fixedDt - 1e-9) {
+      this._accumulator -= this.fixedDt;
+      last = this.substep(this.fixedDt);
+    }
 
     // ----- Update visuals (pass dt so wheel spin integration uses it) -----
-    this.updateVisual(delta, alpha_f, Fy_f, dt);
+    if (last) this.updateVisual(last.delta, last.alpha.FL, last.Fy.FL, dt);
+  }
+
+  // one fixed integration step of length h (seconds)
+  substep(h) {
+    for (const c of [...this.controllers]) c.update(this, h);
+
+    // steering input in radians
+    const delta_deg = (this.steerInput || 0) + this.steerCorrection;
+    const delta = (delta_deg * Math.PI) / 180;
+    this.steerRate = this._lastDelta == null ? 0 : (delta_deg - this._lastDelta) / h;
+    this._lastDelta = delta_deg;
+
+    const inputs = { delta, throttle: this.throttle, brake: this.brake };
+
+    const x = this.getState();
+    const { dx: k1, out } = this.derivatives(x, inputs);
+    this.ay = isFinite(out.ay) ? out.ay : 0;
+    this.ax = isFinite(out.ax) ? out.ax : 0;
+    this.kappa = out.kappa;
+
+    // ----- Save to buffers (sampled at sampleDt, for plotting) -----
+    if (this.time >= this._nextSample - 1e-9) {
+      this._nextSample += this.sampleDt;
+      this.record(delta_deg, out);
+    }
+
+    const f = (xs) => this.derivatives(xs, inputs).dx;
+    let x1 = integrate(this.integrator, f, x, h, { split: STATE_SPLIT, k1 });
+
+    // purely kinematic slip when there is no relaxation length
+    WHEELS.forEach((w, i) => {
+      if (!(this.relaxationLength(this.effectivePressure(w)) > 0)) x1[S.slip + i] = out.alpha[w];
+    });
+
+    // guard NaN/Inf: zero the velocities (speed kept) and slip lags, keep
+    // roll angle, heading and position from before the step
+    if (!x1.every(isFinite)) {
+      console.warn("Numerical instability detected — resetting velocity states to zero.");
+      const lag = (i) => i >= S.slip && i < S.slip + WHEELS.length;
+      x1 = x1.map((v, i) => (i === S.u ? this.speed : i < STATE_SPLIT || lag(i) ? 0 : x[i]));
+      this.ay = 0;
+      this.ax = 0;
+    }
+
+    this.setState(x1);
+    if (this.thermal) this.updateTireTemps(h, out, Math.max(MIN_SPEED, this.speed));
+    this.time += h;
+
+    return { delta, ...out };
+  }
+
+  // tire temperatures are slow next to the chassis states, so they are
+  // advanced by explicit Euler from the forces at the start of the step
+  updateTireTemps(h, out, u) {
+    for (const w of WHEELS) {
+      const T = this.tireTemp[w];
+      this.tireTemp[w] = T + h * tireHeatRate(T, this.ambientTemp, out.Fy[w], out.alpha[w], u, this.tireThermal);
+    }
+  }
+
+  record(delta_deg, out) {
+    // aligning torque of the front tires and what reaches the steering wheel
+    const FL = this.aligningMoment("FL", out.alpha.FL, out.Fy.FL, out.Fz.FL, out.mu.FL);
+    const FR = this.aligningMoment("FR", out.alpha.FR, out.Fy.FR, out.Fz.FR, out.mu.FR);
+    const caster = this.steering.casterTrail;
+    const kingpin = (FL.trail + caster) * out.Fy.FL + (FR.trail + caster) * out.Fy.FR;
+    const feel = steeringFeel(kingpin, this.steering.ratio * this.steerRate, delta_deg, this.steering);
+
+    const row = {
+      time: this.time,
+      delta: delta_deg,
+      yaw: (this.r * 180) / Math.PI, // store yaw in deg/s
+      MzFL: FL.Mz,
+      MzFR: FR.Mz,
+      ay: out.ay,
+      beta: (Math.atan2(this.vy, Math.max(0.01, this.speed)) * 180) / Math.PI, // deg
+      speed: this.speed,
+      psi: (this.psi * 180) / Math.PI, // deg
+      X: this.X,
+      Y: this.Y,
+      steerCorrection: this.steerCorrection, // deg
+      swAngle: feel.swAngle, // deg at the steering wheel
+      swTorque: feel.swTorque, // N·m the driver holds
+      assistTorque: feel.assist, // N·m (steering-wheel equivalent)
+      ax: out.ax,
+      roll: (this.phi * 180) / Math.PI, // deg
+      rollRate: (this.p * 180) / Math.PI, // deg/s
+      throttle: this.throttle,
+      brake: this.brake,
+    };
+    for (const w of WHEELS) {
+      row[`slip${w}`] = (out.alpha[w] * 180) / Math.PI; // deg
+      row[`Fy${w}`] = out.Fy[w];
+      row[`Fz${w}`] = out.Fz[w];
+      row[`temp${w}`] = this.tireTemp[w]; // °C
+      row[`pressure${w}`] = this.effectivePressure(w); // psi
+      row[`Fx${w}`] = out.Fx[w];
+      row[`kappa${w}`] = out.kappa[w];
+      row[`mu${w}`] = out.mu[w];
+    }
+    this.history.push(row);
+  }
+
+  // Plain-array view { time: [...], delta: [...], ... } of the recorded
+  // history for analysis and export. Rebuilt (O(n)) whenever new samples
+  // arrived, so per-frame views read this.history directly.
+  get buf() {
+    const h = this.history;
+    const c = this._bufCache;
+    if (!c || c.total !== h.total || c.generation !== h.generation) {
+      this._bufCache = { total: h.total, generation: h.generation, arrays: h.toArrays() };
+    }
+    return this._bufCache.arrays;
   }
 
   updateVisual(steerRad, slipFL, FyFL, dt) {
@@ -172,8 +786,7 @@ export class VehicleSim {
     }
 
     // wheel rolling - integrate spin incrementally and bound it to [0,2π) to avoid huge numbers
-    const wheelR = 0.33; // m approximate
-    const omega = this.speed / Math.max(wheelR, 0.05); // rad/s approx
+    const omega = this.speed / Math.max(this.wheelRadius, 0.05); // rad/s approx
     this._wheelSpin = (this._wheelSpin + omega * dt) % (Math.PI * 2);
 
     const wheels = [
@@ -196,14 +809,10 @@ export class VehicleSim {
         else w.rotation.y = this.frontSteerAngle;
       }
 
-      // visual tire deformation based on per-wheel pressure
-      let p = this.pressure;
-      if (i === 0) p = this.pressureFL;
-      if (i === 1) p = this.pressureFR;
-      if (i === 2) p = this.pressureRL;
-      if (i === 3) p = this.pressureRR;
-
-      const deform = Math.max(0.8, Math.min(1.05, 1 - (32 - p) * 0.004));
+      // visual tire deformation from the pressure the wheel runs at,
+      // down to 75 % for a flat tire
+      const p = this.effectivePressure(WHEELS[i]);
+      const deform = Math.max(0.75, Math.min(1.05, 1 - ((this.P0 - p) / this.P0) * 0.25));
       w.scale.set(deform, deform, deform);
     }
   }
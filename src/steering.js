@@ -0,0 +1,136 @@
+// src/steering.js — self-aligning torque and steering-wheel torque (steering feel)
+//
+// Aligning torque of one tire is Mz = tp(α) · Fy with the pneumatic trail
+//   tp = trail0 · (Fz/Fz0)^trailLoadExp · (P0/P)^trailPressureExp · cos(Ct · atan(Bt · α))
+// At small slip the trail is a fixed share of the contact length, which
+// grows with load and as the pressure drops. As the rear of the contact
+// patch starts to slide the trail shrinks, crosses zero near full sliding
+// and turns slightly negative, so Mz peaks and falls off well before Fy
+// saturates. Bt = trailDecay · Cα/Fmax makes the zero crossing follow the
+// tire's sliding limit (3·Fmax/Cα in the brush model).
+//
+// Steering system, front wheels -> steering wheel (SW):
+//   kingpin torque   Tk = Σ (tp + casterTrail) · Fy over both front tires
+//   rack friction    Coulomb, smoothed over frictionRate, opposes SW motion
+//   power assist     boost curve A(Ttb) = assistGain · (|Ttb| − deadband)²,
+//                    capped at assistMax, on the torsion-bar torque Ttb
+//   column           torsion bar: SW angle = ratio · δ + Ttb / columnStiffness
+// The driver holds Ttb with Ttb + A(Ttb) = Tk / ratio + friction. Torques
+// at the steering wheel are in N·m, angles in degrees.
+//
+// onCenterMetrics() rates a weave run (ON_CENTER_WEAVE) the way on-center
+// handling is judged: torque and ay gradients, hysteresis and deadband.
+import { G } from "./constants.js";
+import { slope } from "./numeric.js";
+
+
+export const DEFAULT_STEERING = {
+  trail0: 0.04, // m, pneumatic trail at α = 0, Fz0 and P0
+  trailLoadExp: 0.5, // tp ∝ (Fz/Fz0)^n
+  trailPressureExp: 0.5, // tp ∝ (P0/P)^n
+  trailShape: 1.1, // Ct; > 1 lets the trail go negative past sliding
+  trailDecay: 2.3, // Bt / (Cα/Fmax)
+  casterTrail: 0.02, // m, mechanical trail
+  ratio: 15, // SW angle / road-wheel angle
+  rackFriction: 0.4, // N·m at the SW
+  frictionRate: 2, // deg/s of SW rate over which friction builds up
+  assistGain: 1.0, // N·m of assist per (N·m)² of torsion-bar torque above the deadband
+  assistDeadband: 0.5, // N·m
+  assistMax: 60, // N·m at the SW
+  columnStiffness: 2, // N·m/deg, torsion bar
+};
+
+// pneumatic trail (m) at slip α (rad); slipStiffness = Cα/Fmax (1/rad),
+// FzRatio = Fz/Fz0, PRatio = P/P0
+export function pneumaticTrail(alpha, slipStiffness, FzRatio, PRatio, p) {
+  const t0 =
+    p.trail0 *
+    Math.pow(Math.max(0, FzRatio), p.trailLoadExp) *
+    Math.pow(1 / Math.max(0.05, PRatio), p.trailPressureExp);
+  return t0 * Math.cos(p.trailShape * Math.atan(p.trailDecay * slipStiffness * Math.abs(alpha)));
+}
+
+// assist torque (N·m at the SW) for torsion-bar torque Ttb
+export function boostAssist(Ttb, p) {
+  const excess = Math.max(0, Math.abs(Ttb) - p.assistDeadband);
+  return Math.sign(Ttb) * Math.min(p.assistMax, p.assistGain * excess * excess);
+}
+
+// torsion-bar torque the driver applies for a required SW torque Treq:
+// inverse of T + boostAssist(T) = Treq
+export function torsionBarTorque(Treq, p) {
+  const R = Math.abs(Treq);
+  const d = p.assistDeadband;
+  if (R <= d || !(p.assistGain > 0)) return Treq;
+  const k = p.assistGain;
+  const x = (Math.sqrt(1 + 4 * k * (R - d)) - 1) / (2 * k);
+  const T = k * x * x > p.assistMax ? R - p.assistMax : d + x;
+  return Math.sign(Treq) * T;
+}
+
+// kingpinTorque: Tk (N·m), swRate: SW angle rate (deg/s), delta: road-wheel
+// angle (deg) -> { swTorque, swAngle, assist, friction }
+export function steeringFeel(kingpinTorque, swRate, delta, p) {
+  const friction = p.rackFriction * Math.tanh(swRate / p.frictionRate);
+  const Treq = kingpinTorque / p.ratio + friction;
+  const swTorque = torsionBarTorque(Treq, p);
+  return {
+    swTorque,
+    swAngle: p.ratio * delta + swTorque / p.columnStiffness,
+    assist: Treq - swTorque,
+    friction,
+  };
+}
+
+//------------------------------------------------------
+// On-center handling (weave test)
+//------------------------------------------------------
+// A low-frequency sine weave at highway speed around straight ahead
+// (about ±0.2 g) -> steering-wheel torque vs angle loop. Maneuver for
+// src/batch.js jobs (run with grid speed_kmh: [100]).
+export const ON_CENTER_WEAVE = {
+  type: "sine",
+  params: { amplitude: 1.2, tStart: 0.5, frequency: 0.2, cycles: 3 },
+};
+
+// mean |b| where a crosses zero between consecutive samples (interpolated)
+function atZeroCrossings(a, b) {
+  let sum = 0;
+  let n = 0;
+  for (let i = 1; i < a.length; i++) {
+    if (a[i - 1] === 0 || Math.sign(a[i - 1]) === Math.sign(a[i])) continue;
+    const f = a[i - 1] / (a[i - 1] - a[i]);
+    sum += Math.abs(b[i - 1] + f * (b[i] - b[i - 1]));
+    n++;
+  }
+  return n ? sum / n : null;
+}
+
+// On-center metrics of a weave run (buf with swAngle, swTorque, ay), from
+// the samples after `skip` seconds with |ay| ≤ ayMax (m/s²):
+//   torqueGradient    dT/dθsw (N·m/deg) — what the driver feels per degree
+//   torqueGradientAy  dT/day (N·m/g) around 0 g
+//   sensitivity       day/dθsw (g per 100 deg of steering-wheel angle)
+//   torqueAtZero      |T| when the wheel passes straight ahead (hysteresis, N·m)
+//   angleAtZeroTorque |θsw| where the torque changes sign (deadband, deg)
+export function onCenterMetrics(buf, { skip = 1, ayMax = 0.1 * G } = {}) {
+  const sel = { swAngle: [], swTorque: [], ay: [] };
+  const all = { swAngle: [], swTorque: [] };
+  for (let i = 0; i < buf.time.length; i++) {
+    if (buf.time[i] < skip) continue;
+    all.swAngle.push(buf.swAngle[i]);
+    all.swTorque.push(buf.swTorque[i]);
+    if (Math.abs(buf.ay[i]) > ayMax) continue;
+    sel.swAngle.push(buf.swAngle[i]);
+    sel.swTorque.push(buf.swTorque[i]);
+    sel.ay.push(buf.ay[i] / G);
+  }
+  const sensitivity = slope(sel.swAngle, sel.ay);
+  return {
+    torqueGradient: slope(sel.swAngle, sel.swTorque),
+    torqueGradientAy: slope(sel.ay, sel.swTorque),
+    sensitivity: sensitivity == null ? null : 100 * sensitivity,
+    torqueAtZero: atZeroCrossings(all.swAngle, all.swTorque),
+    angleAtZeroTorque: atZeroCrossings(all.swTorque, all.swAngle),
+  };
+}
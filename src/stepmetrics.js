@@ -0,0 +1,96 @@
+// src/stepmetrics.js — transient metrics of a step-steer run (ISO 7401 style)
+//
+// Time zero is the instant the steering input reaches 50 % of its final
+// value. Steady-state values are the means over the last `window` seconds.
+
+// first time after i0 where |x - x0| reaches frac of (xf - x0), linearly
+// interpolated between samples; null if never reached
+function crossingTime(t, x, x0, xf, frac, i0 = 0) {
+  const target = x0 + frac * (xf - x0);
+  const sign = Math.sign(xf - x0) || 1;
+  for (let i = Math.max(1, i0); i < x.length; i++) {
+    if (sign * (x[i] - target) >= 0) {
+      const prev = x[i - 1];
+      const w = x[i] === prev ? 0 : (target - prev) / (x[i] - prev);
+      return t[i - 1] + Math.max(0, Math.min(1, w)) * (t[i] - t[i - 1]);
+    }
+  }
+  return null;
+}
+
+function tailMean(t, x, window) {
+  const tEnd = t[t.length - 1];
+  let s = 0;
+  let n = 0;
+  for (let i = t.length - 1; i >= 0 && t[i] >= tEnd - window; i--) {
+    s += x[i];
+    n++;
+  }
+  return n ? s / n : 0;
+}
+
+// Metrics of one channel (yaw or ay) relative to time zero t0
+function channelMetrics(t, x, t0, window, band) {
+  const x0 = x[0];
+  const xf = tailMean(t, x, window);
+  const span = xf - x0;
+
+  const t10 = crossingTime(t, x, x0, xf, 0.1);
+  const t90 = crossingTime(t, x, x0, xf, 0.9);
+
+  // peak in the direction of the response
+  let iPeak = 0;
+  for (let i = 1; i < x.length; i++) {
+    if (Math.sign(span) * (x[i] - x[iPeak]) > 0) iPeak = i;
+  }
+
+  // last sample outside the ±band settling band
+  let tSettle = t0;
+  for (let i = x.length - 1; i >= 0; i--) {
+    if (Math.abs(x[i] - xf) > band * Math.abs(span)) {
+      tSettle = t[Math.min(i + 1, t.length - 1)];
+      break;
+    }
+  }
+
+  return {
+    steady: xf,
+    riseTime: t10 != null && t90 != null ? t90 - t10 : null, // 10–90 %
+    responseTime: t90 != null ? t90 - t0 : null, // to 90 %
+    peakTime: t[iPeak] - t0,
+    peak: x[iPeak],
+    overshoot: span !== 0 ? (100 * (x[iPeak] - xf)) / span : 0, // %
+    settlingTime: Math.max(0, tSettle - t0),
+  };
+}
+
+// Step-response metrics from a sim buffer ({ time, delta, yaw, ay }).
+// Options: window (s) for steady state, band for settling (fraction, 5 %).
+export function stepResponseMetrics(buf, { window = 1.0, band = 0.05 } = {}) {
+  const t = buf.time;
+  if (t.length < 10) return null;
+
+  const d0 = buf.delta[0];
+  const df = tailMean(t, buf.delta, window);
+  const t0 = crossingTime(t, buf.delta, d0, df, 0.5);
+  if (t0 == null || df === d0) return null;
+
+  const yaw = channelMetrics(t, buf.yaw, t0, window, band);
+  const ay = channelMetrics(t, buf.ay, t0, window, band);
+
+  return {
+    t0,
+    yawRiseTime: yaw.riseTime,
+    yawResponseTime: yaw.responseTime,
+    yawPeakTime: yaw.peakTime,
+    yawOvershoot: yaw.overshoot,
+    yawSettlingTime: yaw.settlingTime,
+    yawSteady: yaw.steady,
+    ayResponseTime: ay.responseTime,
+    // lateral acceleration lag behind yaw rate (90 % response times)
+    ayLag:
+      ay.responseTime != null && yaw.responseTime != null
+        ? ay.responseTime - yaw.responseTime
+        : null,
+  };
+}
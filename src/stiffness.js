@@ -0,0 +1,78 @@
+// src/stiffness.js — cornering stiffness Cα(P, Fz, T) and tire temperature
+//
+// Stiffness models return the ratio of a tire's cornering stiffness to its
+// value at the reference state (P0, static load Fz0, reference temperature):
+//   power    Cα ∝ (P/P0)^n · Fz/Fz0 — the original monotonic power law
+//   surface  Cα ∝ gP(P) · gFz(Fz) · gT(T), with
+//     gP   parabola peaking at the optimum pressure Popt = pOptRatio · P0
+//          (over-inflation crowns the tread and shrinks the contact patch)
+//     gFz  sin(2·atan(Fz / (loadPeak · Fz0))) — rises less than linearly
+//          with load and peaks at loadPeak · Fz0 (load sensitivity)
+//     gT   linear softening of the rubber above the reference temperature
+//
+// The thermal model heats each tire with a share of its slip power |Fy·v·sinα|
+// and cools it towards ambient with a speed-dependent convection
+// coefficient. The inflation gas follows the ideal-gas law at constant
+// volume, so a hot tire runs at more than its cold set pressure.
+
+export const STIFFNESS_MODELS = {
+  power: "Power law (P/P0)^n",
+  surface: "Cα(P, Fz, T) surface",
+};
+
+export const DEFAULT_STIFFNESS = {
+  pOptRatio: 1.2, // Popt / P0
+  pressureCurvature: 1.5, // drop of gP per squared relative distance from Popt
+  loadPeak: 2.0, // Fz / Fz0 at which Cα peaks
+  tempCoeff: 0.004, // 1/K, relative stiffness loss per kelvin above Tref
+};
+
+export const DEFAULT_THERMAL = {
+  heatCapacity: 4000, // J/K, effective thermal mass of one tire
+  heatShare: 0.5, // share of slip power going into the tire
+  cooling0: 10, // W/K, convection at standstill
+  coolingSpeed: 2, // W/K per m/s of forward speed
+};
+
+const ATM_PSI = 14.696;
+const KELVIN = 273.15;
+
+function gPressure(P, P0, p) {
+  const Popt = p.pOptRatio * P0;
+  const d = (P - Popt) / Popt;
+  return Math.max(0.2, 1 - p.pressureCurvature * d * d);
+}
+
+function gLoad(FzRatio, p) {
+  return Math.sin(2 * Math.atan(Math.max(0, FzRatio) / p.loadPeak));
+}
+
+function gTemp(T, Tref, p) {
+  return Math.max(0.5, Math.min(1.2, 1 - p.tempCoeff * (T - Tref)));
+}
+
+// Cα(P, Fz, T) / Cα(P0, Fz0, Tref)
+// model: key of STIFFNESS_MODELS; p: { n (power exponent), ...DEFAULT_STIFFNESS }
+export function stiffnessRatio(model, P, P0, FzRatio, T, Tref, p) {
+  const safeP = Math.max(0.1, P);
+  if (model === "surface") {
+    return (
+      (gPressure(safeP, P0, p) / gPressure(P0, P0, p)) *
+      (gLoad(FzRatio, p) / gLoad(1, p)) *
+      (gTemp(T, Tref, p) / gTemp(Tref, Tref, p))
+    );
+  }
+  return Math.pow(safeP / P0, p.n) * FzRatio;
+}
+
+// gauge pressure (psi) of a tire set to Pcold at Tcold (°C) once at T (°C)
+export function hotPressure(Pcold, T, Tcold) {
+  return ((Pcold + ATM_PSI) * (T + KELVIN)) / (Tcold + KELVIN) - ATM_PSI;
+}
+
+// dT/dt (K/s) of one tire: slip power in, convection to ambient out
+export function tireHeatRate(T, Tamb, Fy, alpha, vx, p) {
+  const slipPower = Math.abs(Fy * vx * Math.sin(alpha));
+  const cooling = (p.cooling0 + p.coolingSpeed * Math.abs(vx)) * (T - Tamb);
+  return (p.heatShare * slipPower - cooling) / p.heatCapacity;
+}
@@ -0,0 +1,154 @@
+// src/tireevents.js — scheduled pressure changes during a drive
+//
+// A TireEventScheduler is a sim controller (like ManeuverPlayer) that drives
+// the per-wheel cold pressures sim.pressureFL..RR from a list of events:
+//   { type: "leak",      wheel: "FL", t: 2, tau: 20, target: 0 }
+//       exponential decay from the pressure at t towards target, time constant tau (s)
+//   { type: "blowout",   wheel: "RR", t: 3, duration: 0.1, target: 0 }
+//       (near) step deflation to target within duration (s)
+//   { type: "reinflate", wheel: "FL", t: 30, duration: 5, target: 32 }
+//       linear ramp back to target over duration (s)
+// Event times are relative to play(). Once the first event fires the yaw
+// rate at that instant is the reference; the deviation from it is the yaw
+// disturbance. With `correct` on, a PI "driver" adds the steering needed to
+// hold the reference yaw rate through sim.steerCorrection (deg), so the
+// correction is recorded separately from the steering input; the scheduler
+// then keeps correcting until stop().
+// The log { time, yawDisturbance, steerCorrection } is a RingBuffer of the
+// last maxLogSamples samples, so an endless correcting run stays bounded;
+// log.start > 0 (report().trimmed) once the oldest samples were dropped.
+// report() peaks cover the whole run.
+import { WHEELS } from "./sim.js";
+import { RingBuffer } from "./ringbuffer.js";
+
+export const TIRE_EVENT_TYPES = {
+  leak: "Slow leak",
+  blowout: "Blowout",
+  reinflate: "Reinflate",
+};
+
+export const TIRE_EVENT_DEFAULTS = {
+  leak: { tau: 20, target: 0 },
+  blowout: { duration: 0.1, target: 0 },
+  reinflate: { duration: 5, target: null }, // null: back to the pressure before the events
+};
+
+const RAD2DEG = 180 / Math.PI;
+const LOG_KEYS = ["time", "yawDisturbance", "steerCorrection"];
+
+// pressure of one event's wheel at time t since the event started
+function eventPressure(ev, { P_start, target }, t) {
+  if (ev.type === "leak") {
+    return target + (P_start - target) * Math.exp(-t / ev.tau);
+  }
+  // blowout and reinflation: linear ramp to target
+  const w = ev.duration > 0 ? Math.min(1, t / ev.duration) : 1;
+  return P_start + (target - P_start) * w;
+}
+
+export class TireEventScheduler {
+  constructor(sim) {
+    this.sim = sim;
+    this.events = [];
+    this.state = "idle"; // "idle" | "playing" | "done"
+    this.t = 0;
+
+    // corrective steering (PI on yaw-rate error, deg per deg/s)
+    this.correct = false;
+    this.kp = 0.15;
+    this.ki = 0.6;
+
+    this.maxLogSamples = 30000; // 5 min at 10 ms
+    this.resetLog();
+  }
+
+  // events: see file header; missing fields come from TIRE_EVENT_DEFAULTS
+  load(events) {
+    this.events = events.map((ev) => {
+      if (!TIRE_EVENT_TYPES[ev.type]) throw new Error(`Unknown tire event "${ev.type}"`);
+      if (!WHEELS.includes(ev.wheel)) throw new Error(`Unknown wheel "${ev.wheel}"`);
+      return { ...TIRE_EVENT_DEFAULTS[ev.type], ...ev };
+    });
+    this.stop();
+  }
+
+  resetLog() {
+    this.log = new RingBuffer(LOG_KEYS, { capacity: this.maxLogSamples, precise: ["time"] });
+    this.logStart = null; // time of the first sample, kept when it is dropped
+    this.peaks = { yawDisturbance: 0, steerCorrection: 0 }; // signed, largest |value|
+    this._nextSample = 0;
+  }
+
+  play() {
+    const sim = this.sim;
+    this.t = 0;
+    this.initial = Object.fromEntries(WHEELS.map((w) => [w, sim[`pressure${w}`]]));
+    this.active = this.events.map(() => null); // { P_start, target } once fired
+    this.yawRef = null;
+    this.integral = 0;
+    sim.steerCorrection = 0;
+    this.resetLog();
+    this.state = "playing";
+    sim.addController(this);
+  }
+
+  stop() {
+    this.state = "idle";
+    this.sim.steerCorrection = 0;
+    this.sim.removeController(this);
+  }
+
+  // controller hook, called by VehicleSim before every substep
+  update(sim, h) {
+    if (this.state !== "playing") return;
+
+    this.events.forEach((ev, i) => {
+      if (this.t < ev.t) return;
+      const key = `pressure${ev.wheel}`;
+      if (!this.active[i]) {
+        this.active[i] = { P_start: sim[key], target: ev.target ?? this.initial[ev.wheel] };
+        if (this.yawRef == null) this.yawRef = sim.r;
+      }
+      // later events on the same wheel take over from earlier ones
+      const later = this.events.some((e, j) => j > i && e.wheel === ev.wheel && this.t >= e.t);
+      if (!later) sim[key] = Math.max(0, eventPressure(ev, this.active[i], this.t - ev.t));
+    });
+
+    if (this.yawRef != null) {
+      const err = (this.yawRef - sim.r) * RAD2DEG; // deg/s
+      if (this.correct) {
+        this.integral += err * h;
+        sim.steerCorrection = this.kp * err + this.ki * this.integral;
+      }
+      if (this.t >= this._nextSample - 1e-9) {
+        this._nextSample += sim.sampleDt;
+        const row = { time: sim.time, yawDisturbance: -err, steerCorrection: sim.steerCorrection };
+        this.log.push(row);
+        this.logStart ??= sim.time;
+        for (const k of Object.keys(this.peaks)) {
+          if (Math.abs(row[k]) > Math.abs(this.peaks[k])) this.peaks[k] = row[k];
+        }
+      }
+    }
+
+    this.t += h;
+    const tEnd = Math.max(0, ...this.events.map((ev) => ev.t + (ev.tau ? 5 * ev.tau : ev.duration)));
+    if (this.t >= tEnd && !this.correct) {
+      this.state = "done";
+      sim.removeController(this);
+    }
+  }
+
+  // peak yaw disturbance (deg/s) and corrective steering (deg) so far;
+  // trimmed: the log no longer holds the start of the run
+  report() {
+    const log = this.log;
+    return {
+      yawDisturbancePeak: this.peaks.yawDisturbance,
+      steerCorrectionPeak: this.peaks.steerCorrection,
+      steerCorrectionFinal: log.last("steerCorrection") ?? 0,
+      duration: log.length ? log.last("time") - this.logStart : 0,
+      trimmed: log.start > 0,
+    };
+  }
+}
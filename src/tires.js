@@ -0,0 +1,59 @@
+// src/tires.js — lateral tire force models (linear, Magic Formula, brush)
+//
+// All models share the same sign convention: a positive slip angle α (rad)
+// produces a positive lateral force Fy (N). Parameters per axle are the
+// Magic Formula set { B, C, D, E }; the brush model reuses the same small-slip
+// stiffness (B·C·D) and peak force (D) so the three models agree near α = 0.
+
+export const TIRE_MODELS = {
+  linear: "Linear",
+  magic: "Magic Formula",
+  brush: "Brush",
+};
+
+// hard limit of the linear model when no peak force D is given
+const LINEAR_FY_MAX = 1e5;
+
+// Magic Formula JS function (vectorized)
+export function magicFormula(alphaRad, B, C, D, E) {
+  // alpha: array or number
+  const compute = (a) => {
+    const Bx = B * a;
+    const inner = Bx - E * (Bx - Math.atan(Bx));
+    return D * Math.sin(C * Math.atan(inner));
+  };
+  if (Array.isArray(alphaRad)) return alphaRad.map(compute);
+  return compute(alphaRad);
+}
+
+// Brush model with parabolic contact pressure (Fiala): linear near the origin,
+// full sliding once tan(α) exceeds 3·Fmax/Cα
+export function brushModel(alpha, Calpha, Fmax) {
+  if (!(Fmax > 0) || !(Calpha > 0)) return 0;
+  const t = Calpha * Math.tan(alpha);
+  const tSlide = 3 * Fmax;
+  if (Math.abs(t) >= tSlide) return Math.sign(alpha) * Fmax;
+  return t - (t * Math.abs(t)) / (3 * Fmax) + (t * t * t) / (27 * Fmax * Fmax);
+}
+
+// linear up to the peak force Fmax (the D of the tire on the current road),
+// so road friction limits it like the other models
+export function linearModel(alpha, Calpha, Fmax = LINEAR_FY_MAX) {
+  const Fy = Calpha * alpha;
+  return Math.max(-Fmax, Math.min(Fmax, Fy));
+}
+
+// Lateral force for one axle/tire.
+// p = { Calpha, B, C, D, E } — Calpha drives the linear model only, which
+// saturates at D
+export function lateralForce(model, alpha, p) {
+  switch (model) {
+    case "magic":
+      return magicFormula(alpha, p.B, p.C, p.D, p.E);
+    case "brush":
+      return brushModel(alpha, p.B * p.C * p.D, p.D);
+    case "linear":
+    default:
+      return linearModel(alpha, p.Calpha, p.D);
+  }
+}
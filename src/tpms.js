@@ -0,0 +1,251 @@
+// src/tpms.js — simulated tire pressure monitoring (direct and indirect)
+//
+// Both monitors are sim controllers (update(sim, h) before every substep)
+// that only see what a real system would:
+//   DirectTPMS   a pressure sensor per wheel with noise and quantisation,
+//                waking every `wakeInterval` s and transmitting every
+//                `interval` s, or at once when the pressure moved by more
+//                than `fastDelta` since the last transmission. Warns when a
+//                reported pressure is `threshold` below the placard (P0).
+//   IndirectTPMS ABS wheel-speed tooth counts plus yaw-rate and steering
+//                sensors. An underinflated tire rolls on a smaller radius
+//                and spins faster; after a calibration phase each wheel's
+//                apparent radius relative to the others is low-pass filtered
+//                and a drop beyond `radiusThreshold` raises a warning. The
+//                yaw-rate residual against the calibrated steer response
+//                is reported alongside (a soft front axle lowers it, a soft
+//                rear axle raises it).
+// leakScenarios() / latencyStats() turn batch runs with tire events into
+// detection-latency figures per strategy.
+import { WHEELS } from "./sim.js";
+import { createRng, gaussian } from "./numeric.js";
+
+const TWO_PI = 2 * Math.PI;
+const RAD2DEG = 180 / Math.PI;
+
+export class DirectTPMS {
+  constructor(opts = {}) {
+    this.placard = null; // psi; null = the sim's P0
+    this.threshold = 0.25; // warn 25 % below placard
+    this.hysteresis = 1.0; // psi above the threshold to clear
+    this.noise = 0.15; // psi (1σ)
+    this.quantum = 0.25; // psi, sensor resolution
+    this.interval = 60; // s between routine transmissions
+    this.wakeInterval = 4; // s between measurements
+    this.fastDelta = 1.5; // psi change that triggers an immediate report
+    this.seed = 1;
+    Object.assign(this, opts);
+    this.reset();
+  }
+
+  reset() {
+    const rng = createRng(this.seed);
+    this.rng = rng;
+    this.t = 0;
+    this.wheels = Object.fromEntries(
+      WHEELS.map((w) => [
+        w,
+        {
+          pressure: null, // last transmitted (psi)
+          warning: false,
+          warnedAt: null,
+          nextWake: rng() * this.wakeInterval, // sensors are not in phase
+          nextReport: 0,
+        },
+      ])
+    );
+  }
+
+  update(sim, h) {
+    this.t += h;
+    const limit = (this.placard ?? sim.P0) * (1 - this.threshold);
+
+    for (const w of WHEELS) {
+      const s = this.wheels[w];
+      if (this.t < s.nextWake) continue;
+      s.nextWake += this.wakeInterval;
+
+      const raw = sim.effectivePressure(w) + this.noise * gaussian(this.rng);
+      const measured = Math.round(raw / this.quantum) * this.quantum;
+      const rapid = s.pressure != null && Math.abs(measured - s.pressure) >= this.fastDelta;
+      if (this.t < s.nextReport && !rapid) continue;
+
+      s.pressure = measured;
+      s.nextReport = this.t + this.interval;
+      if (measured < limit && !s.warning) {
+        s.warning = true;
+        s.warnedAt = this.t;
+      } else if (measured > limit + this.hysteresis) {
+        s.warning = false;
+      }
+    }
+  }
+
+  report() {
+    return tpmsReport(this.wheels, (s) => ({ pressure: s.pressure }));
+  }
+}
+
+export class IndirectTPMS {
+  constructor(opts = {}) {
+    this.teeth = 48; // ABS tone-wheel teeth
+    this.window = 0.1; // s, wheel-speed evaluation period
+    this.calibrationTime = 30; // s of driving to learn the baseline
+    this.filterTime = 20; // s, low-pass time constant
+    this.radiusThreshold = 0.005; // relative radius drop that warns (~20 % pressure)
+    this.minSpeed = 8; // m/s, below this samples are ignored
+    this.maxAy = 3; // m/s², above this samples are ignored
+    this.yawNoise = 0.05; // deg/s (1σ) yaw-rate sensor noise
+    this.seed = 2;
+    Object.assign(this, opts);
+    this.reset();
+  }
+
+  // restart calibration (e.g. after the driver reinflated the tires)
+  reset() {
+    this.rng = createRng(this.seed);
+    this.t = 0;
+    this.nextEval = this.window;
+    this.angle = Object.fromEntries(WHEELS.map((w) => [w, 0])); // rad
+    this.edges = Object.fromEntries(WHEELS.map((w) => [w, 0]));
+    this.calibrated = false;
+    this.calibrationSamples = 0;
+    this.baseline = Object.fromEntries(WHEELS.map((w) => [w, 0]));
+    this.yawGain0 = 0;
+    this.yawGainSamples = 0;
+    this.yawResidual = 0; // deg/s, filtered
+    this.wheels = Object.fromEntries(
+      WHEELS.map((w) => [w, { residual: 0, deviation: 0, warning: false, warnedAt: null }])
+    );
+  }
+
+  update(sim, h) {
+    this.t += h;
+
+    // tooth edges seen by each ABS sensor
+    const omega = sim.wheelSpeeds();
+    for (const w of WHEELS) this.angle[w] += omega[w] * h;
+    if (this.t < this.nextEval) return;
+    this.nextEval += this.window;
+
+    const u = sim.speed;
+    const r = sim.r + (this.yawNoise / RAD2DEG) * gaussian(this.rng);
+    if (u < this.minSpeed || Math.abs(sim.ay) > this.maxAy) {
+      // keep the counters in step but skip the sample
+      for (const w of WHEELS) this.edges[w] = Math.floor((this.angle[w] * this.teeth) / TWO_PI);
+      return;
+    }
+
+    // apparent rolling radius of each wheel: kinematic speed of its
+    // contact point (from speed, yaw rate and track) over its measured ω
+    const halfT = 0.5 * sim.track;
+    const rho = {};
+    for (const w of WHEELS) {
+      const edges = Math.floor((this.angle[w] * this.teeth) / TWO_PI);
+      const omegaMeas = ((edges - this.edges[w]) * TWO_PI) / this.teeth / this.window;
+      this.edges[w] = edges;
+      const v = u - (w[1] === "L" ? halfT : -halfT) * r;
+      rho[w] = v / Math.max(1e-3, omegaMeas);
+    }
+
+    const delta = ((sim.steerInput || 0) + sim.steerCorrection) / RAD2DEG;
+    const yawKin = (u * delta) / (sim.lf + sim.lr); // neutral-steer yaw rate
+
+    if (!this.calibrated) {
+      this.calibrate(rho, r, yawKin);
+      return;
+    }
+
+    const k = this.window / this.filterTime;
+    for (const w of WHEELS) {
+      const others = WHEELS.filter((o) => o !== w);
+      const ref = others.reduce((s, o) => s + rho[o], 0) / others.length;
+      const s = this.wheels[w];
+      s.residual += k * (rho[w] / ref - 1 - s.residual);
+      s.deviation = s.residual - this.baseline[w];
+      if (s.deviation < -this.radiusThreshold && !s.warning) {
+        s.warning = true;
+        s.warnedAt = this.t;
+      }
+    }
+
+    if (Math.abs(yawKin) > 1e-3) {
+      this.yawResidual += k * ((r - this.yawGain0 * yawKin) * RAD2DEG - this.yawResidual);
+    }
+  }
+
+  // running means of the per-wheel radius ratios and the yaw gain
+  calibrate(rho, r, yawKin) {
+    const n = ++this.calibrationSamples;
+    for (const w of WHEELS) {
+      const others = WHEELS.filter((o) => o !== w);
+      const ref = others.reduce((s, o) => s + rho[o], 0) / others.length;
+      this.baseline[w] += (rho[w] / ref - 1 - this.baseline[w]) / n;
+      this.wheels[w].residual = this.baseline[w];
+    }
+    if (Math.abs(yawKin) > 1e-3) {
+      const m = ++this.yawGainSamples;
+      this.yawGain0 += (r / yawKin - this.yawGain0) / m;
+    } else if (!this.yawGainSamples) {
+      this.yawGain0 = 1;
+    }
+    if (n * this.window >= this.calibrationTime) this.calibrated = true;
+  }
+
+  report() {
+    return {
+      calibrated: this.calibrated,
+      yawResidual: this.yawResidual,
+      ...tpmsReport(this.wheels, (s) => ({ deviation: 100 * s.deviation })),
+    };
+  }
+}
+
+// { warning, firstWarning: { wheel, t } | null, wheels: { FL: {...}, ... } }
+function tpmsReport(wheels, extra) {
+  let first = null;
+  for (const w of WHEELS) {
+    const s = wheels[w];
+    if (s.warnedAt != null && (!first || s.warnedAt < first.t)) first = { wheel: w, t: s.warnedAt };
+  }
+  return {
+    warning: WHEELS.some((w) => wheels[w].warning),
+    firstWarning: first,
+    wheels: Object.fromEntries(
+      WHEELS.map((w) => [w, { warning: wheels[w].warning, warnedAt: wheels[w].warnedAt, ...extra(wheels[w]) }])
+    ),
+  };
+}
+
+// Leak scenarios for detection-latency runs (events as in src/tireevents.js).
+// The leak starts after the indirect system has calibrated.
+export function leakScenarios(onset = 40) {
+  return [
+    { name: "Slow leak FL (τ 600 s)", wheel: "FL", events: [{ type: "leak", wheel: "FL", t: onset, tau: 600 }] },
+    { name: "Leak FL (τ 120 s)", wheel: "FL", events: [{ type: "leak", wheel: "FL", t: onset, tau: 120 }] },
+    { name: "Leak RR (τ 120 s)", wheel: "RR", events: [{ type: "leak", wheel: "RR", t: onset, tau: 120 }] },
+    { name: "Fast leak RL (τ 20 s)", wheel: "RL", events: [{ type: "leak", wheel: "RL", t: onset, tau: 20 }] },
+    { name: "Blowout FR", wheel: "FR", events: [{ type: "blowout", wheel: "FR", t: onset }] },
+    {
+      name: "Both fronts (τ 120 s)",
+      wheel: "FL",
+      events: [
+        { type: "leak", wheel: "FL", t: onset, tau: 120 },
+        { type: "leak", wheel: "FR", t: onset, tau: 120 },
+      ],
+    },
+  ];
+}
+
+// detection latency (s after onset) of one monitor report; warnings before
+// the onset count as false alarms
+export function latencyStats(report, onset, wheel) {
+  const first = report.firstWarning;
+  if (!first) return { detected: false, latency: null, falseAlarm: false, wheelCorrect: null };
+  return {
+    detected: first.t >= onset,
+    latency: first.t >= onset ? first.t - onset : null,
+    falseAlarm: first.t < onset,
+    wheelCorrect: first.wheel === wheel,
+  };
+}
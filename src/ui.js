@@ -1,38 +1,542 @@
 // ui.js
 import GUI from 'lil-gui';
+import { TIRE_MODELS } from './tires.js';
+import { INTEGRATORS } from './integrators.js';
+import { STIFFNESS_MODELS } from './stiffness.js';
+import { TIRE_EVENT_DEFAULTS, TIRE_EVENT_TYPES } from './tireevents.js';
+import { MANEUVERS } from './maneuvers.js';
+import { DEFAULT_DRIVER, DRIVER_MODELS, DRIVER_PATHS } from './driver.js';
+import { MAX_VEHICLES } from './compare.js';
+import { ROAD_LAYOUTS, ROAD_SURFACES } from './road.js';
+import { EXPORT_FORMATS, parseRun, runMeta, runSnapshot, serializeRun } from './dataexport.js';
+import { RingBuffer } from './ringbuffer.js';
+import {
+  DEFAULT_PRESET, VEHICLE_FIELDS, VEHICLE_PRESETS,
+  vehicleConfig, vehicleFromJSON, vehicleFromSim, vehicleToJSON
+} from './vehicles.js';
 
-export function createUI(sim){
+export function createUI(sim, {
+  maneuver, sceneApp, comparison, tireEvents, tpms, dashboard, replay, driver, logDialog, reference, recorder, liveView, onVehicleChange
+} = {}){
   const container = document.getElementById('controls');
   const gui = new GUI({container});
 
   const state = {
-    globalPressure: sim.pressure,
-    pressureFL: sim.pressureFL,
-    pressureFR: sim.pressureFR,
-    pressureRL: sim.pressureRL,
-    pressureRR: sim.pressureRR,
-    steering: 0,
-    speed_kmh: sim.speed * 3.6,
+    // read through so the slider follows the speed under throttle / brake
+    get speed_kmh(){ return sim.speed * 3.6; },
+    set speed_kmh(v){ sim.speed = v / 3.6; },
+    tireModel: sim.tireModel,
+    integrator: sim.integrator,
+    fixedDt_ms: sim.fixedDt * 1000,
     reset: ()=> sim.resetBuffers()
   };
 
-  gui.add(state, 'globalPressure', 18, 44, 0.5).name('Tire pressure (global psi)').onChange(v => {
-    sim.pressure = v;
+  gui.add(sim, 'pressure', 18, 60, 0.5).name('Tire pressure (global psi)').listen().onChange(v => {
     // also update per-wheel if they are still equal (optional: keep user-chosen separate)
     sim.pressureFL = v; sim.pressureFR = v; sim.pressureRL = v; sim.pressureRR = v;
-    state.pressureFL = v; state.pressureFR = v; state.pressureRL = v; state.pressureRR = v;
   });
 
+  // per-wheel pressures and steering are bound to sim directly (listen) so
+  // values set by maneuvers show up here
   const folderW = gui.addFolder('Per-wheel pressures (psi)');
-  folderW.add(state, 'pressureFL', 14, 44, 0.1).name('Front Left').onChange(v => sim.pressureFL = v);
-  folderW.add(state, 'pressureFR', 14, 44, 0.1).name('Front Right').onChange(v => sim.pressureFR = v);
-  folderW.add(state, 'pressureRL', 14, 44, 0.1).name('Rear Left').onChange(v => sim.pressureRL = v);
-  folderW.add(state, 'pressureRR', 14, 44, 0.1).name('Rear Right').onChange(v => sim.pressureRR = v);
+  folderW.add(sim, 'pressureFL', 14, 60, 0.1).name('Front Left').listen();
+  folderW.add(sim, 'pressureFR', 14, 60, 0.1).name('Front Right').listen();
+  folderW.add(sim, 'pressureRL', 14, 60, 0.1).name('Rear Left').listen();
+  folderW.add(sim, 'pressureRR', 14, 60, 0.1).name('Rear Right').listen();
   folderW.open();
 
-  gui.add(state, 'steering', -35, 35, 0.1).name('Steering input (deg)').onChange(v => sim.steerInput = v);
-  gui.add(state, 'speed_kmh', 0, 240, 1).name('Vehicle speed (km/h)').onChange(v => sim.speed = v/3.6);
+  gui.add(sim, 'steerInput', -35, 35, 0.1).name('Steering input (deg)').listen();
+  gui.add(state, 'speed_kmh', 0, 240, 1).name('Vehicle speed (km/h)').listen().onChange(v => sim.speed = v/3.6);
+
+  addVehicleFolder(gui, sim, onVehicleChange);
+  if (maneuver) addManeuverFolder(gui, sim, maneuver, state, [replay, driver]);
+  if (driver) addDriverFolder(gui, sim, driver, state, [maneuver, replay]);
+  if (replay) addReplayFolder(gui, sim, replay, logDialog, [maneuver, driver], state);
+  if (tireEvents) addTireEventFolder(gui, tireEvents);
+  if (tpms) addTPMSFolder(gui, tpms, dashboard);
+  if (comparison) addComparisonFolder(gui, comparison);
+  addExportFolder(gui, sim, { maneuver, tireEvents, tpms, replay, reference, recorder });
+  if (liveView) addLiveViewFolder(gui, liveView);
+
+  const folderT = gui.addFolder('Tire model');
+  const modelOptions = Object.fromEntries(Object.entries(TIRE_MODELS).map(([k, name]) => [name, k]));
+  folderT.add(state, 'tireModel', modelOptions).name('Model').onChange(v => sim.tireModel = v);
+  folderT.add(sim, 'sigma0', 0, 1, 0.01).name('Relaxation length σ0 (m)');
+
+  const stiffnessOptions = Object.fromEntries(Object.entries(STIFFNESS_MODELS).map(([k, name]) => [name, k]));
+  const folderC = folderT.addFolder('Cornering stiffness Cα(P, Fz, T)');
+  folderC.add(sim, 'stiffnessModel', stiffnessOptions).name('Model');
+  folderC.add(sim, 'pressureExponent', 0.2, 1.5, 0.01).name('Power-law exponent n').listen();
+  folderC.add(sim.stiffness, 'pOptRatio', 0.8, 2, 0.01).name('Optimum pressure / P0');
+  folderC.add(sim.stiffness, 'pressureCurvature', 0, 5, 0.05).name('Pressure curvature');
+  folderC.add(sim.stiffness, 'loadPeak', 1, 4, 0.05).name('Peak load / Fz0');
+  folderC.add(sim.stiffness, 'tempCoeff', 0, 0.02, 0.0005).name('Softening per K');
+  folderC.add(sim, 'thermal').name('Thermal model');
+  folderC.add(sim, 'ambientTemp', -10, 45, 1).name('Ambient (°C)');
+  folderC.close();
+  for (const axle of ['front', 'rear']) {
+    const f = folderT.addFolder(axle === 'front' ? 'Front tires (MF @ P0)' : 'Rear tires (MF @ P0)');
+    // bound straight to sim.tire so the explanation sliders show up here too
+    f.add(sim.tire[axle], 'B', 1, 200, 0.1).listen();
+    f.add(sim.tire[axle], 'C', 0.5, 2.5, 0.01).listen();
+    f.add(sim.tire[axle], 'D', 0, 20000, 10).listen();
+    f.add(sim.tire[axle], 'E', -1, 1, 0.01).listen();
+    f.close();
+  }
+
+  const folderSt = gui.addFolder('Steering system');
+  folderSt.add(sim.steering, 'trail0', 0, 0.1, 0.001).name('Pneumatic trail @ P0 (m)');
+  folderSt.add(sim.steering, 'trailPressureExp', 0, 1.5, 0.05).name('Trail ∝ (P0/P)^n');
+  folderSt.add(sim.steering, 'trailDecay', 0.5, 5, 0.05).name('Trail decay with slip');
+  folderSt.add(sim.steering, 'casterTrail', 0, 0.06, 0.001).name('Caster trail (m)');
+  folderSt.add(sim.steering, 'ratio', 8, 25, 0.1).name('Steering ratio');
+  folderSt.add(sim.steering, 'rackFriction', 0, 3, 0.05).name('Rack friction (N·m @ SW)');
+  folderSt.add(sim.steering, 'assistGain', 0, 5, 0.05).name('Assist gain (1/N·m)');
+  folderSt.add(sim.steering, 'assistDeadband', 0, 3, 0.05).name('Assist deadband (N·m)');
+  folderSt.add(sim.steering, 'assistMax', 0, 150, 1).name('Max assist (N·m @ SW)');
+  folderSt.add(sim.steering, 'columnStiffness', 0.5, 10, 0.1).name('Torsion bar (N·m/deg)');
+  folderSt.close();
+
+  // speed driven by throttle / brake (src/longitudinal.js) instead of held
+  const lp = sim.longitudinalParams;
+  const folderL = gui.addFolder('Longitudinal dynamics');
+  folderL.add(sim, 'longitudinal').name('Speed from throttle / brake').listen();
+  folderL.add(sim, 'throttle', 0, 1, 0.01).name('Throttle').listen();
+  folderL.add(sim, 'brake', 0, 1, 0.01).name('Brake').listen();
+  folderL.add(lp, 'drivePower', 20000, 400000, 1000).name('Drive power (W)');
+  folderL.add(lp, 'maxDriveForce', 1000, 15000, 100).name('Max drive force (N)');
+  folderL.add(lp, 'driveSplitF', 0, 1, 0.05).name('Drive split front (1 = FWD)');
+  folderL.add(lp, 'engineBraking', 0, 3000, 50).name('Engine braking (N)');
+  folderL.add(lp, 'maxBrakeForce', 2000, 30000, 100).name('Max brake force (N)');
+  folderL.add(lp, 'brakeBias', 0, 1, 0.01).name('Brake bias front');
+  folderL.add(lp, 'CdA', 0.2, 2, 0.01).name('CdA (m²)');
+  folderL.add(lp, 'longStiffness0', 20000, 300000, 1000).name('Slip stiffness Cκ @ P0 (N)');
+  folderL.add(lp, 'longStiffnessExp', 0, 1, 0.05).name('Cκ ∝ (P0/P)^n');
+  folderL.close();
+
+  // roll degree of freedom (src/roll.js); switching it off levels the body
+  const rp = sim.rollParams;
+  const folderRo = gui.addFolder('Body roll');
+  folderRo.add(sim, 'bodyRoll').name('Roll degree of freedom').onChange(()=> { sim.phi = 0; sim.p = 0; });
+  folderRo.add(rp, 'rollCenterHeight', 0, 0.4, 0.01).name('Roll centre height (m)');
+  folderRo.add(rp, 'rollGradient', 1, 10, 0.1).name('Roll gradient, rigid tires (deg/g)');
+  folderRo.add(rp, 'rollDampingRatio', 0.05, 1.5, 0.05).name('Roll damping ratio');
+  folderRo.add(rp, 'tireVerticalStiffness', 100000, 500000, 5000).name('Tire kz @ P0 (N/m)');
+  folderRo.add(rp, 'carcassShare', 0, 1, 0.05).name('kz share from carcass');
+  folderRo.add(rp, 'rollSteerF', -0.2, 0.2, 0.01).name('Roll steer front (rad/rad)');
+  folderRo.add(rp, 'rollSteerR', -0.2, 0.2, 0.01).name('Roll steer rear (rad/rad)');
+  folderRo.close();
+
+  // road surface, low-grip patches and tilt; the scene shows the zones
+  const surfaceOptions = Object.fromEntries(Object.entries(ROAD_SURFACES).map(([k, s]) => [`${s.name} (μ ${s.mu})`, k]));
+  const layoutOptions = Object.fromEntries(Object.entries(ROAD_LAYOUTS).map(([k, l]) => [l.name, k]));
+  const showRoad = ()=> sceneApp?.setRoad(sim.road);
+  const folderR = gui.addFolder('Road surface');
+  folderR.add(sim.road, 'surface', surfaceOptions).name('Surface').onChange(showRoad);
+  folderR.add(sim.road, 'layout', layoutOptions).name('Layout').onChange(showRoad);
+  folderR.add(sim.road, 'patchSurface', surfaceOptions).name('Patch surface').onChange(showRoad);
+  folderR.add(sim.road, 'bank', -15, 15, 0.5).name('Bank (deg, right side up)');
+  folderR.add(sim.road, 'grade', -15, 15, 0.5).name('Grade (deg, uphill +X)');
+  folderR.close();
+  showRoad();
+
+  const folderI = gui.addFolder('Integrator');
+  const integratorOptions = Object.fromEntries(Object.entries(INTEGRATORS).map(([k, name]) => [name, k]));
+  folderI.add(state, 'integrator', integratorOptions).name('Method').onChange(v => sim.integrator = v);
+  folderI.add(state, 'fixedDt_ms', [0.5, 1, 2, 5, 10]).name('Fixed step (ms)').onChange(v => sim.fixedDt = v/1000);
+  folderI.close();
+
+  if (sceneApp) {
+    const folderS = gui.addFolder('Scene');
+    const sceneState = { follow: true, clearTrails: ()=> sceneApp.clearTrails() };
+    folderS.add(sceneState, 'follow').name('Camera follows car').onChange(v => sceneApp.setFollow(v));
+    folderS.add(sceneState, 'clearTrails').name('Clear path trails');
+    folderS.close();
+  }
+
   gui.add(state, 'reset').name('Reset sim buffers');
 
   return gui;
 }
+
+// Scripted maneuver selection and play / pause / restart; others: input
+// sources stopped when the maneuver starts
+function addManeuverFolder(gui, sim, maneuver, simState, others){
+  const folder = gui.addFolder('Maneuver');
+  const typeOptions = Object.fromEntries(Object.entries(MANEUVERS).map(([k, m]) => [m.name, k]));
+
+  const state = {
+    type: 'step',
+    amplitude: MANEUVERS.step.defaults.amplitude,
+    speed_kmh: sim.speed * 3.6,
+    pressureFL: sim.pressureFL,
+    pressureFR: sim.pressureFR,
+    pressureRL: sim.pressureRL,
+    pressureRR: sim.pressureRR,
+    get status(){
+      if (!maneuver.config) return 'idle';
+      return `${maneuver.state} ${maneuver.t.toFixed(1)} / ${maneuver.duration.toFixed(1)} s`;
+    },
+    play: ()=> {
+      if (maneuver.state === 'paused') return maneuver.play();
+      others.forEach(o => o?.stop());
+      load();
+      maneuver.play();
+      simState.speed_kmh = sim.speed * 3.6;
+    },
+    pause: ()=> maneuver.pause(),
+    restart: ()=> {
+      others.forEach(o => o?.stop());
+      load();
+      maneuver.restart();
+      simState.speed_kmh = sim.speed * 3.6;
+    }
+  };
+
+  function load(){
+    maneuver.load({
+      type: state.type,
+      params: { amplitude: state.amplitude },
+      speed_kmh: state.speed_kmh,
+      pressures: { FL: state.pressureFL, FR: state.pressureFR, RL: state.pressureRL, RR: state.pressureRR }
+    });
+  }
+
+  folder.add(state, 'type', typeOptions).name('Type').onChange(v => {
+    state.amplitude = MANEUVERS[v].defaults.amplitude;
+  });
+  folder.add(state, 'amplitude', 0, 35, 0.1).name('Amplitude (deg)').listen();
+  folder.add(state, 'speed_kmh', 5, 240, 1).name('Speed (km/h)');
+  const folderP = folder.addFolder('Pressures (psi)');
+  folderP.add(state, 'pressureFL', 14, 60, 0.1).name('Front Left');
+  folderP.add(state, 'pressureFR', 14, 60, 0.1).name('Front Right');
+  folderP.add(state, 'pressureRL', 14, 60, 0.1).name('Rear Left');
+  folderP.add(state, 'pressureRR', 14, 60, 0.1).name('Rear Right');
+  folderP.close();
+  folder.add(state, 'play').name('▶ Play');
+  folder.add(state, 'pause').name('❚❚ Pause');
+  folder.add(state, 'restart').name('↺ Restart');
+  folder.add(state, 'status').name('Status').disable().listen();
+
+  return folder;
+}
+
+// Closed-loop driver model: target path, driver settings and the workload
+// metrics of the last completed run
+function addDriverFolder(gui, sim, driver, simState, others){
+  const folder = gui.addFolder('Driver model');
+  const pathOptions = Object.fromEntries(Object.entries(DRIVER_PATHS).map(([k, p]) => [p.name, k]));
+  const modelOptions = Object.fromEntries(Object.entries(DRIVER_MODELS).map(([k, name]) => [name, k]));
+  let last = null;
+  driver.onDone = metrics => (last = metrics);
+
+  const state = {
+    path: 'laneChange',
+    speed_kmh: 80,
+    ...DEFAULT_DRIVER,
+    get status(){
+      if (driver.state === 'idle') return 'idle';
+      return `${driver.state} ${driver.progress.s.toFixed(0)} / ${driver.path.length.toFixed(0)} m`;
+    },
+    get lastRun(){
+      if (!last) return '–';
+      return `${last.rmsDeviation.toFixed(2)} m rms, ${last.rmsSteerRate.toFixed(0)} °/s, ${last.reversalRate.toFixed(0)} rev/min`;
+    },
+    drive: ()=> {
+      others.forEach(o => o?.stop());
+      load();
+      driver.play();
+      simState.speed_kmh = sim.speed * 3.6;
+    },
+    stop: ()=> driver.stop()
+  };
+
+  // also keeps driver.config current for the workload sweep
+  function load(){
+    const { path, speed_kmh, model, previewTime, delay, gain, leadTime, maxSteer } = state;
+    driver.load({ path, speed_kmh, driver: { model, previewTime, delay, gain, leadTime, maxSteer } });
+  }
+
+  folder.add(state, 'path', pathOptions).name('Target path').onChange(load);
+  folder.add(state, 'speed_kmh', 10, 160, 1).name('Speed (km/h)').onChange(load);
+  folder.add(state, 'model', modelOptions).name('Driver').onChange(load);
+  folder.add(state, 'previewTime', 0.2, 3, 0.05).name('Preview time (s)').onChange(load);
+  folder.add(state, 'delay', 0, 0.5, 0.01).name('Reaction delay (s)').onChange(load);
+  folder.add(state, 'gain', 0.2, 3, 0.05).name('Gain').onChange(load);
+  folder.add(state, 'leadTime', 0, 1, 0.05).name('Lead T_L (s, crossover)').onChange(load);
+  folder.add(state, 'drive').name('▶ Drive path');
+  folder.add(state, 'stop').name('■ Stop');
+  folder.add(state, 'status').name('Status').disable().listen();
+  folder.add(state, 'lastRun').name('Last run').disable().listen();
+  folder.close();
+  load();
+
+  return folder;
+}
+
+// Measured drive logs: import through the column-mapping dialog, then
+// replay the logged steering and speed on the live sim
+function addReplayFolder(gui, sim, replay, logDialog, others, simState){
+  const folder = gui.addFolder('Log replay');
+  const state = {
+    get log(){
+      return replay.log ? `${replay.log.time.length} samples, ${replay.duration.toFixed(1)} s` : 'none';
+    },
+    get status(){
+      return `${replay.state} ${replay.t.toFixed(1)} / ${replay.duration.toFixed(1)} s`;
+    },
+    importLog: ()=> pickFile('.csv,.txt,text/csv', async text => {
+      const log = await logDialog.open(text);
+      if (log) replay.load(log);
+    }),
+    play: ()=> {
+      if (!replay.log) return alert('Import a log first.');
+      others.forEach(o => o?.stop());
+      replay.play();
+      simState.speed_kmh = sim.speed * 3.6;
+    },
+    stop: ()=> replay.stop()
+  };
+  folder.add(state, 'importLog').name('Import CSV log…');
+  folder.add(state, 'log').name('Log').disable().listen();
+  folder.add(state, 'play').name('▶ Replay');
+  folder.add(state, 'stop').name('■ Stop');
+  folder.add(state, 'status').name('Status').disable().listen();
+  folder.close();
+  return folder;
+}
+
+// Export the current run (all sim.history channels + metadata), record
+// full-length runs to IndexedDB, and load a saved run back as a reference
+// drawn next to the live one
+function addExportFolder(gui, sim, { maneuver, tireEvents, tpms, replay, reference, recorder }){
+  const folder = gui.addFolder('Data export');
+  const formatOptions = Object.fromEntries(Object.entries(EXPORT_FORMATS).map(([k, f]) => [f.name, k]));
+  const meta = ()=> ({
+    maneuver: maneuver && maneuver.state !== 'idle' ? maneuver.config : null,
+    tireEvents: tireEvents && tireEvents.state !== 'idle' ? tireEvents.events : null,
+    replay: replay && replay.state !== 'idle' ? { samples: replay.log.time.length, dt: replay.log.dt } : null,
+    seeds: tpms ? { tpmsDirect: tpms.direct.seed, tpmsIndirect: tpms.indirect.seed } : null
+  });
+  const stamp = ()=> new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  const download = (name, run)=>
+    downloadFile(`${name}.${state.format}`, serializeRun(run, state.format), EXPORT_FORMATS[state.format].type);
+  const setReference = (run, name)=> {
+    reference.run = run;
+    reference.name = name;
+    reference.history = RingBuffer.fromArrays(run.channels);
+  };
+  const latest = async ()=> {
+    const [rec] = await recorder.list();
+    if (!rec) throw new Error('No recordings yet');
+    return recorder.load(rec.id);
+  };
+  const attempt = (what, fn)=> async ()=> {
+    try {
+      await fn();
+    } catch (err) {
+      alert(`${what} failed: ${err.message}`);
+    }
+  };
+
+  const state = {
+    format: 'csv',
+    get reference(){
+      return reference?.run ? reference.name : 'none';
+    },
+    get recording(){
+      if (!recorder?.active) return recorder?.error ? `failed: ${recorder.error.message}` : 'off';
+      return `${recorder.recording.samples + recorder.pending.time.length} samples`;
+    },
+    exportRun: ()=> download(`run_${stamp()}`, runSnapshot(sim, meta())),
+    importRun: ()=> pickFile('.csv,.json,.mat', (data, name) => {
+      attempt('Run import', () => setReference(parseRun(data, name), name))();
+    }, true),
+    clearReference: ()=> {
+      reference.run = null;
+      reference.history = null;
+    },
+    toggleRecording: attempt('Recording', async () => {
+      if (recorder.active) await recorder.stop();
+      else await recorder.start(`run ${stamp()}`, runMeta(sim, meta()));
+    }),
+    exportRecording: attempt('Recording export', async () => download(`recording_${stamp()}`, await latest())),
+    referenceRecording: attempt('Recording load', async () => setReference(await latest(), 'last recording')),
+    deleteRecordings: attempt('Deleting recordings', async () => {
+      if (!confirm('Delete all recordings stored in this browser?')) return;
+      for (const rec of await recorder.list()) await recorder.remove(rec.id);
+    })
+  };
+  folder.add(state, 'format', formatOptions).name('Format');
+  folder.add(state, 'exportRun').name('Export run');
+  if (reference) {
+    folder.add(state, 'importRun').name('Load run as reference…');
+    folder.add(state, 'reference').name('Reference').disable().listen();
+    folder.add(state, 'clearReference').name('Clear reference');
+  }
+  if (recorder) {
+    const folderR = folder.addFolder('Full-length recording (browser storage)');
+    folderR.add(state, 'toggleRecording').name('● Start / ■ stop recording');
+    folderR.add(state, 'recording').name('Recording').disable().listen();
+    folderR.add(state, 'exportRecording').name('Export last recording');
+    if (reference) folderR.add(state, 'referenceRecording').name('Last recording as reference');
+    folderR.add(state, 'deleteRecordings').name('Delete all recordings');
+  }
+  folder.close();
+  return folder;
+}
+
+// Live chart window and decimation (plots.liveView)
+function addLiveViewFolder(gui, liveView){
+  const folder = gui.addFolder('Live charts');
+  const windows = { 'Whole run': 0, '10 s': 10, '20 s': 20, '1 min': 60, '5 min': 300, '30 min': 1800 };
+  folder.add(liveView, 'window', windows).name('Time window');
+  folder.add(liveView, 'decimation', { 'Min/max': 'minmax', LTTB: 'lttb', None: 'none' }).name('Decimation');
+  folder.add(liveView, 'maxPoints', 200, 4000, 100).name('Points per series');
+  folder.add(liveView, 'scatterPoints', 200, 20000, 100).name('Scatter samples');
+  folder.close();
+  return folder;
+}
+
+// Vehicle presets and parameter editor. Edits are staged in `def` and
+// applied with "Apply"; choosing a preset applies it straight away.
+// onApplied() runs after the sim took the new vehicle (and its new tires).
+function addVehicleFolder(gui, sim, onApplied){
+  const folder = gui.addFolder('Vehicle');
+  const def = vehicleFromSim(sim, VEHICLE_PRESETS[DEFAULT_PRESET].name);
+  const presetOptions = Object.fromEntries(Object.entries(VEHICLE_PRESETS).map(([k, p]) => [p.name, k]));
+
+  const state = {
+    preset: DEFAULT_PRESET,
+    apply: ()=> {
+      sim.setVehicle(vehicleConfig(def));
+      onApplied?.();
+    },
+    exportJSON: ()=> downloadFile(`${def.name.replace(/\W+/g, '_')}.json`, vehicleToJSON(def), 'application/json'),
+    importJSON: ()=> pickFile('.json,application/json', text => {
+      try {
+        load(vehicleFromJSON(text));
+      } catch (err) {
+        alert(`Could not import vehicle: ${err.message}`);
+      }
+    })
+  };
+
+  function load(next){
+    Object.assign(def, next);
+    state.apply();
+  }
+
+  folder.add(state, 'preset', presetOptions).name('Preset').onChange(k => load(VEHICLE_PRESETS[k]));
+  folder.add(def, 'name').name('Name').listen();
+  for (const [key, f] of Object.entries(VEHICLE_FIELDS)) {
+    folder.add(def, key, f.min, f.max, f.step).name(f.label).listen();
+  }
+  folder.add(state, 'apply').name('Apply (restarts sim)');
+  folder.add(state, 'exportJSON').name('Export JSON');
+  folder.add(state, 'importJSON').name('Import JSON…');
+  folder.close();
+  return folder;
+}
+
+function downloadFile(filename, text, type){
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// open a file dialog and pass the chosen file's text (or ArrayBuffer when
+// binary) and name to onLoad
+function pickFile(accept, onLoad, binary = false){
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = accept;
+  input.onchange = async () => {
+    const file = input.files[0];
+    if (file) onLoad(binary ? await file.arrayBuffer() : await file.text(), file.name);
+  };
+  input.click();
+}
+
+// Tire events: build a list of leaks / blowouts / reinflations and play it
+function addTireEventFolder(gui, events){
+  const folder = gui.addFolder('Tire events');
+  const typeOptions = Object.fromEntries(Object.entries(TIRE_EVENT_TYPES).map(([k, name]) => [name, k]));
+
+  const draft = { type: 'leak', wheel: 'FL', t: 2, tau: 20, duration: 0.1, target: 0 };
+  const list = [];
+  const state = {
+    add: ()=> {
+      const ev = { type: draft.type, wheel: draft.wheel, t: draft.t, target: draft.target };
+      if (draft.type === 'leak') ev.tau = draft.tau;
+      else ev.duration = draft.duration;
+      list.push(ev);
+      events.load(list);
+    },
+    clear: ()=> { list.length = 0; events.load(list); },
+    play: ()=> events.play(),
+    stop: ()=> events.stop(),
+    get scheduled(){
+      return list.map(ev => `${ev.wheel} ${TIRE_EVENT_TYPES[ev.type].toLowerCase()} @${ev.t}s`).join(', ') || '—';
+    },
+    get status(){
+      const r = events.report();
+      return `${events.state}: yaw ${r.yawDisturbancePeak.toFixed(2)} °/s, steer ${r.steerCorrectionPeak.toFixed(2)}°${r.trimmed ? ' (log trimmed)' : ''}`;
+    }
+  };
+
+  folder.add(draft, 'type', typeOptions).name('Type').onChange(v => {
+    Object.assign(draft, TIRE_EVENT_DEFAULTS[v]);
+    if (draft.target == null) draft.target = events.sim.P0;
+  });
+  folder.add(draft, 'wheel', ['FL', 'FR', 'RL', 'RR']).name('Wheel');
+  folder.add(draft, 't', 0, 60, 0.1).name('Start (s)');
+  folder.add(draft, 'tau', 1, 120, 1).name('Leak time constant (s)').listen();
+  folder.add(draft, 'duration', 0.01, 20, 0.01).name('Duration (s)').listen();
+  folder.add(draft, 'target', 0, 60, 0.5).name('Target (psi)').listen();
+  folder.add(state, 'add').name('+ Add event');
+  folder.add(state, 'clear').name('Clear events');
+  folder.add(state, 'scheduled').name('Scheduled').disable().listen();
+  folder.add(events, 'correct').name('Corrective steering');
+  folder.add(state, 'play').name('▶ Play events');
+  folder.add(state, 'stop').name('■ Stop');
+  folder.add(state, 'status').name('Status').disable().listen();
+  folder.close();
+  return folder;
+}
+
+// TPMS thresholds and resets; the dashboard overlay can be hidden
+function addTPMSFolder(gui, { direct, indirect }, dashboard){
+  const folder = gui.addFolder('TPMS');
+  const state = {
+    overlay: true,
+    resetDirect: ()=> direct.reset(),
+    recalibrate: ()=> indirect.reset()
+  };
+  if (dashboard) folder.add(state, 'overlay').name('Show dashboard').onChange(v => dashboard.setVisible(v));
+  folder.add(direct, 'threshold', 0.05, 0.5, 0.01).name('Direct: warn below placard by');
+  folder.add(direct, 'interval', 5, 120, 1).name('Direct: report interval (s)');
+  folder.add(indirect, 'radiusThreshold', 0.001, 0.02, 0.0005).name('Indirect: radius drop');
+  folder.add(indirect, 'filterTime', 2, 60, 1).name('Indirect: filter (s)');
+  folder.add(state, 'resetDirect').name('Reset direct warnings');
+  folder.add(state, 'recalibrate').name('Recalibrate indirect');
+  folder.close();
+  return folder;
+}
+
+// Comparison mode: vehicle A is the live sim, B–D get their own axle pressures
+function addComparisonFolder(gui, comparison){
+  const folder = gui.addFolder('Comparison');
+  folder.add(comparison, 'enabled').name('Compare setups').onChange(v => comparison.setEnabled(v));
+  folder.add(comparison, 'count', 2, MAX_VEHICLES, 1).name('Vehicles').onFinishChange(() => comparison.rebuild());
+  comparison.setups.forEach((setup, i) => {
+    const letter = 'BCD'[i];
+    folder.add(setup, 'front', 14, 60, 0.5).name(`${letter} front (psi)`);
+    folder.add(setup, 'rear', 14, 60, 0.5).name(`${letter} rear (psi)`);
+  });
+  folder.close();
+  return folder;
+}
@@ -0,0 +1,152 @@
+// src/vehicles.js — vehicle definitions, built-in presets and JSON import/export
+//
+// A definition describes the car independent of the sim settings:
+//   { name, m, Iz, lf, wheelbase, track, h, rollSplitF,
+//     P0, Calpha0, pressureExponent, dampingLateral, dampingYaw }
+// lf is the CG-to-front-axle distance; the rear distance is wheelbase - lf.
+// vehicleConfig() turns a definition into VehicleSim constructor params
+// (also accepted by sim.setVehicle()).
+
+// editable fields: label and slider range for the GUI editor
+export const VEHICLE_FIELDS = {
+  m: { label: "Mass (kg)", min: 600, max: 4000, step: 10 },
+  Iz: { label: "Yaw inertia Iz (kg·m²)", min: 500, max: 9000, step: 10 },
+  lf: { label: "CG → front axle (m)", min: 0.6, max: 2.2, step: 0.01 },
+  wheelbase: { label: "Wheelbase (m)", min: 1.8, max: 4.2, step: 0.01 },
+  track: { label: "Track (m)", min: 1.2, max: 2.0, step: 0.01 },
+  h: { label: "CG height (m)", min: 0.3, max: 1.2, step: 0.01 },
+  rollSplitF: { label: "Front roll stiffness share", min: 0.2, max: 0.8, step: 0.01 },
+  P0: { label: "Reference pressure P0 (psi)", min: 20, max: 60, step: 0.5 },
+  Calpha0: { label: "Axle Cα at P0 (N/rad)", min: 20000, max: 250000, step: 1000 },
+  pressureExponent: { label: "Stiffness exponent n (Cα ∝ Pⁿ)", min: 0.2, max: 1.5, step: 0.01 },
+  dampingLateral: { label: "Lateral damping (N·s/m)", min: 0, max: 10000, step: 50 },
+  dampingYaw: { label: "Yaw damping (N·m·s/rad)", min: 0, max: 10000, step: 50 },
+};
+
+export const VEHICLE_PRESETS = {
+  compactHatch: {
+    name: "Compact hatch",
+    m: 1150,
+    Iz: 1700,
+    lf: 1.0,
+    wheelbase: 2.5,
+    track: 1.48,
+    h: 0.52,
+    rollSplitF: 0.6,
+    P0: 33,
+    Calpha0: 65000,
+    pressureExponent: 0.8,
+    dampingLateral: 2500,
+    dampingYaw: 1800,
+  },
+  sedan: {
+    name: "Sedan",
+    m: 1500,
+    Iz: 2500,
+    lf: 1.2,
+    wheelbase: 2.8,
+    track: 1.55,
+    h: 0.55,
+    rollSplitF: 0.55,
+    P0: 32,
+    Calpha0: 80000,
+    pressureExponent: 0.8,
+    dampingLateral: 3000,
+    dampingYaw: 2500,
+  },
+  suv: {
+    name: "SUV",
+    m: 2100,
+    Iz: 3900,
+    lf: 1.35,
+    wheelbase: 2.95,
+    track: 1.65,
+    h: 0.72,
+    rollSplitF: 0.58,
+    P0: 35,
+    Calpha0: 100000,
+    pressureExponent: 0.75,
+    dampingLateral: 3800,
+    dampingYaw: 3500,
+  },
+  sportsCar: {
+    name: "Sports car",
+    m: 1400,
+    Iz: 2100,
+    lf: 1.15,
+    wheelbase: 2.45,
+    track: 1.58,
+    h: 0.45,
+    rollSplitF: 0.5,
+    P0: 30,
+    Calpha0: 110000,
+    pressureExponent: 0.85,
+    dampingLateral: 2800,
+    dampingYaw: 2200,
+  },
+  lightTruck: {
+    name: "Light truck",
+    m: 2800,
+    Iz: 6200,
+    lf: 1.45,
+    wheelbase: 3.45,
+    track: 1.72,
+    h: 0.85,
+    rollSplitF: 0.5,
+    P0: 50,
+    Calpha0: 140000,
+    pressureExponent: 0.7,
+    dampingLateral: 5000,
+    dampingYaw: 5500,
+  },
+};
+
+export const DEFAULT_PRESET = "sedan";
+
+// definition -> VehicleSim params
+export function vehicleConfig(def) {
+  const { name, wheelbase, ...params } = def;
+  return { ...params, lr: wheelbase - def.lf };
+}
+
+// current vehicle of a sim -> definition
+export function vehicleFromSim(sim, name = "Custom") {
+  const def = { name };
+  for (const key of Object.keys(VEHICLE_FIELDS)) {
+    def[key] = key === "wheelbase" ? sim.lf + sim.lr : sim[key];
+  }
+  return def;
+}
+
+export function vehicleToJSON(def) {
+  return JSON.stringify(def, null, 2);
+}
+
+// Parse and check a definition; missing fields are taken from the default
+// preset. Throws on malformed JSON or out-of-range values.
+export function vehicleFromJSON(text) {
+  const raw = JSON.parse(text);
+  if (!raw || typeof raw !== "object") throw new Error("Vehicle JSON must be an object");
+
+  const def = { ...VEHICLE_PRESETS[DEFAULT_PRESET], name: "Imported" };
+  for (const [key, value] of Object.entries(raw)) {
+    if (key === "name") def.name = String(value);
+    else if (key in VEHICLE_FIELDS) {
+      if (typeof value !== "number" || !isFinite(value)) {
+        throw new Error(`Vehicle field "${key}" must be a number`);
+      }
+      def[key] = value;
+    }
+  }
+
+  for (const key of ["m", "Iz", "lf", "wheelbase", "track", "P0", "Calpha0", "pressureExponent"]) {
+    if (!(def[key] > 0)) throw new Error(`Vehicle field "${key}" must be positive`);
+  }
+  if (def.h < 0) throw new Error(`Vehicle field "h" must not be negative`);
+  if (!(def.lf < def.wheelbase)) throw new Error("The CG must lie between the axles (lf < wheelbase)");
+  if (!(def.rollSplitF >= 0 && def.rollSplitF <= 1)) {
+    throw new Error(`Vehicle field "rollSplitF" must be between 0 and 1`);
+  }
+  if (def.dampingLateral < 0 || def.dampingYaw < 0) throw new Error("Damping must not be negative");
+  return def;
+}